@@ -28,34 +28,304 @@ SOFTWARE.
 */
 
 let clipboard_title = "Copy to clipboard"
+let clipboard_menuTitle = "More ways to copy"
+let clipboard_memberTitle = "Copy the signature or a link"
 let clipboard_icon = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24"><path fill="#888" d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/></svg>`
 let clipboard_successIcon = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/></svg>`
 let clipboard_successDuration = 1000
+// language of the Markdown fences, from the extension of a source listing or else this default
+let clipboard_fenceLanguage = "csharp"
+let clipboard_fenceLanguages = { cs: "csharp", c: "c", cpp: "cpp", cc: "cpp", h: "cpp", hpp: "cpp", java: "java",
+                                 js: "javascript", ts: "typescript", py: "python", xml: "xml", json: "json", sh: "bash" }
+let clipboard_formats = {
+  plain:    { label: "Copy", message: "Copied" },
+  markdown: { label: "Copy as Markdown", message: "Copied as Markdown" },
+  html:     { label: "Copy as HTML", message: "Copied with the syntax colours" },
+  numbered: { label: "Copy with line numbers", message: "Copied with line numbers" },
+  selected: { label: "Copy the selected lines", message: "Copied the selected lines" },
+}
 
-$(function() {
+// the text of a fragment, without line numbers and folded fragments of file listings
+function clipboard_plainText(fragment) {
+  const content = fragment.cloneNode(true)
+  content.querySelectorAll(".lineno, .ttc, .foldclosed, .line-selection-tools").forEach((node) => { node.remove() })
+  // remove trailing newlines and trailing spaces from empty lines
+  return content.textContent.replace(/^\s*\n/gm,'\n').replace(/\n*$/,'')
+}
+
+// copies of the lines of a fragment with their line number, only the selected ones when selected is set
+function clipboard_lines(fragment,selected) {
+  return Array.from(fragment.querySelectorAll("div.line")).filter((line) =>
+    !line.closest(".foldclosed") && (!selected || line.classList.contains("line-selected"))
+  ).map((line) => {
+    const node = line.cloneNode(true)
+    const lineno = node.querySelector(".lineno")
+    const number = lineno ? lineno.textContent.trim() : ""
+    node.querySelectorAll(".lineno, .ttc, .line-selection-tools, a[name]:empty").forEach((n) => { n.remove() })
+    return { number: number, node: node, text: node.textContent.replace(/\s+$/,'') }
+  })
+}
+
+// the lines as HTML, with the colours of the page inlined as the classes do not travel along
+function clipboard_html(fragment,lines) {
+  const colours = {}
+  fragment.querySelectorAll("div.line [class]").forEach((node) => {
+    if (!(node.className in colours)) colours[node.className] = getComputedStyle(node).color
+  })
+  const style = getComputedStyle(fragment)
+  const font = getComputedStyle(fragment.querySelector("div.line") || fragment).fontFamily
+  const code = lines.map((line) => {
+    line.node.querySelectorAll("[class]").forEach((node) => {
+      if (colours[node.className]) node.style.color = colours[node.className]
+      node.removeAttribute("class")
+    })
+    line.node.querySelectorAll("a").forEach((a) => { // keep the colour, drop the relative link
+      const span = document.createElement("span")
+      span.setAttribute("style",a.getAttribute("style") || "")
+      span.append(...a.childNodes)
+      a.replaceWith(span)
+    })
+    return line.node.innerHTML.replace(/\s+$/,'')
+  }).join("\n")
+  return `<pre style="color:${style.color};background-color:${style.backgroundColor};`+
+         `font-family:${font}">${code}</pre>`
+}
+
+function clipboard_fence(fragment) {
+  const m = location.pathname.match(/_8(\w+)_source\.html$/)
+  return m ? (clipboard_fenceLanguages[m[1]] || "") : clipboard_fenceLanguage
+}
+
+// copies the fragment in the given format, see clipboard_formats
+function clipboard_copy(fragment,format) {
+  let text = clipboard_plainText(fragment)
+  let html
+  if (format=="markdown") {
+    text = "```"+clipboard_fence(fragment)+"\n"+text+"\n```"
+  } else if (format=="numbered" || format=="selected") {
+    const lines = clipboard_lines(fragment,format=="selected")
+    const width = Math.max(...lines.map((line) => line.number.length))
+    text = lines.map((line) => format=="numbered" ? (line.number.padStart(width)+"  "+line.text).trimEnd() : line.text).join("\n")
+  } else if (format=="html") {
+    html = clipboard_html(fragment,clipboard_lines(fragment,false))
+  }
+  if (html && window.ClipboardItem) {
+    return navigator.clipboard.write([new ClipboardItem({
+      "text/html": new Blob([html],{ type: "text/html" }),
+      "text/plain": new Blob([text],{ type: "text/plain" }),
+    })])
+  }
+  return navigator.clipboard.writeText(text)
+}
+
+// tells screen readers the outcome of a copy
+function clipboard_announce(message) {
+  let status = document.getElementById("clipboard-status")
+  if (!status) {
+    status = document.createElement("div")
+    status.id = "clipboard-status"
+    status.setAttribute("role","status")
+    status.setAttribute("aria-live","polite")
+    document.body.appendChild(status)
+  }
+  status.textContent = message
+  window.clearTimeout(status.timer)
+  status.timer = window.setTimeout(() => { status.textContent = "" }, clipboard_successDuration*5)
+}
+
+// copies the fragment and shows the outcome on its copy button
+function clipboard_run(fragment,format) {
+  const button = fragment.querySelector(":scope > .clipboard")
+  clipboard_copy(fragment,format).then(() => {
+    clipboard_announce(clipboard_formats[format].message)
+    button.classList.add("success")
+    button.innerHTML = clipboard_successIcon
+    window.setTimeout(() => { // switch back to normal icon after timeout
+        button.classList.remove("success")
+        button.innerHTML = clipboard_icon
+    }, clipboard_successDuration);
+  },() => clipboard_announce("Copying failed"))
+}
+
+function clipboard_closeMenu(focus) {
+  const menu = document.querySelector("ul.clipboard-menu")
+  if (menu) {
+    menu.remove()
+    menu.button.setAttribute("aria-expanded","false")
+    if (focus) menu.button.focus()
+  }
+}
+
+// a menu below button with the given actions, each a { label, run } pair
+function clipboard_showMenu(button,actions) {
+  clipboard_closeMenu(false)
+  const menu = document.createElement("ul")
+  menu.className = "clipboard-menu"
+  menu.setAttribute("role","menu")
+  menu.button = button
+  for (const action of actions) {
+    const item = document.createElement("li")
+    item.setAttribute("role","menuitem")
+    item.tabIndex = -1
+    item.textContent = action.label
+    item.addEventListener("click",() => { clipboard_closeMenu(true); action.run() })
+    menu.appendChild(item)
+  }
+  menu.addEventListener("keydown",(e) => {
+    const items = Array.from(menu.children)
+    const index = items.indexOf(document.activeElement)
+    if (e.key=="Escape") {
+      clipboard_closeMenu(true)
+    } else if (e.key=="ArrowDown") {
+      items[Math.min(index+1,items.length-1)].focus()
+    } else if (e.key=="ArrowUp") {
+      items[Math.max(index-1,0)].focus()
+    } else if (e.key=="Home") {
+      items[0].focus()
+    } else if (e.key=="End") {
+      items[items.length-1].focus()
+    } else if (e.key=="Enter" || e.key==" ") {
+      if (index>=0) items[index].click()
+    } else {
+      return
+    }
+    e.preventDefault()
+  })
+  const rect = button.getBoundingClientRect()
+  menu.style.top = rect.bottom+"px" // fixed, as the fragment clips
+  menu.style.right = (document.documentElement.clientWidth-rect.right)+"px"
+  document.body.appendChild(menu)
+  button.setAttribute("aria-expanded","true")
+  menu.firstChild.focus()
+}
+
+// the formats a fragment can be copied in
+function clipboard_fragmentActions(fragment) {
+  const formats = ["plain","markdown"]
+  if (window.ClipboardItem) formats.push("html") // else only plain text can be copied
+  if (fragment.querySelector(".lineno")) formats.push("numbered")
+  if (fragment.querySelector("div.line.line-selected")) formats.push("selected")
+  return formats.map((format) => ({ label: clipboard_formats[format].label, run: () => clipboard_run(fragment,format) }))
+}
+
+// normalizes the spacing doxygen puts around template arguments, e.g. "Task< ApiResponse< T > >"
+function clipboard_typeText(text) {
+  return text.replace(/\s+/g," ").replace(/\s*<\s*/g,"<").replace(/\s*>/g,">").replace(/\s*,\s*/g,", ").trim()
+}
+
+// splits text at the spaces or dots outside of template arguments
+function clipboard_split(text,separator) {
+  const parts = [""]
+  let depth = 0
+  for (const c of text) {
+    if (c=="<") depth++; else if (c==">") depth--
+    if (c==separator && depth==0) parts.push(""); else parts[parts.length-1] += c
+  }
+  return parts
+}
+
+// the parts of the declaration of the member documented below a h2.memtitle
+function clipboard_member(title) {
+  const item = $(title).nextAll("div.memitem").first()[0]
+  const table = item && item.querySelector("table.memname")
+  if (!table) return null
+  const words = clipboard_split(clipboard_typeText(table.querySelector("td.memname").textContent)," ")
+  const name = clipboard_split(words.pop(),".").pop()
+  const params = Array.from(table.querySelectorAll("tr")).map((tr) => {
+    const type = tr.querySelector("td.paramtype")
+    const param = tr.querySelector("td.paramname em")
+    return { type: type ? clipboard_typeText(type.textContent) : "", name: param ? param.textContent.trim() : "" }
+  }).filter((param) => param.type || param.name)
+  const accessors = Array.from(item.querySelectorAll(".mlabels .mlabel")).map((label) => label.textContent.trim()).
+                    filter((label) => ["get","set","init"].includes(label))
+  const heading = $("div.headertitle .title").first().clone()
+  heading.find(".mlabels").remove() // e.g. "abstract" after "... Class Reference"
+  const scope = heading.text().trim().match(/^(.*?)\s+(Class|Interface|Struct|Union|Enum|Namespace)( Template)? Reference$/)
+  return {
+    prefix: words.join(" "),
+    name: name,
+    method: Array.from(table.querySelectorAll("td")).some((td) => td.textContent.trim()=="("),
+    params: params,
+    accessors: accessors,
+    scope: scope ? clipboard_split(scope[1],".").pop() : "",
+  }
+}
+
+// the copy actions of a member: its signature, permalink, a Markdown link and a cref for XML docs
+function clipboard_memberActions(title) {
+  const member = clipboard_member(title)
+  const link = location.href.split("#")[0]+title.querySelector(".permalink a").getAttribute("href")
+  const qualified = (member.scope ? member.scope+"." : "")+member.name
+  let signature = (member.prefix ? member.prefix+" " : "")+member.name
+  if (member.method) {
+    signature += "("+member.params.map((param) => (param.type+" "+param.name).trim()).join(", ")+")"
+  } else if (member.accessors.length) {
+    signature += " { "+member.accessors.map((accessor) => accessor+"; ").join("")+"}"
+  }
+  const crefType = (type) => type.replace(/^(\[[^\]]*\] )*((params|this|ref|out|in) )?/,"").replace(/\?$/,"").replace(/</g,"{").replace(/>/g,"}")
+  let cref = crefType(qualified)
+  if (member.method) cref += "("+member.params.map((param) => crefType(param.type)).join(", ")+")"
+  const copy = (text,message) => () => clipboard_write(text,message)
+  return [
+    { label: "Copy signature", run: copy(signature,"Copied the signature") },
+    { label: "Copy link", run: copy(link,"Copied the link") },
+    { label: "Copy Markdown link", run: copy("["+qualified.replace(/([<>\[\]])/g,"\\$1")+"]("+link+")","Copied the Markdown link") },
+    { label: "Copy <see cref> reference", run: copy('<see cref="'+cref+'"/>',"Copied the XML doc reference") },
+  ]
+}
+
+// copies text and announces message to screen readers
+function clipboard_write(text,message) {
+  navigator.clipboard.writeText(text).then(() => clipboard_announce(message),() => clipboard_announce("Copying failed"))
+}
+
+// a button that opens a menu of the actions returned by actions()
+function clipboard_menuButton(title,actions) {
+  const button = document.createElement("button")
+  button.type = "button"
+  button.title = title
+  button.setAttribute("aria-label",title)
+  button.setAttribute("aria-haspopup","menu")
+  button.setAttribute("aria-expanded","false")
+  $(button).click(function(e) {
+    e.stopPropagation()
+    const open = this.getAttribute("aria-expanded")=="true"
+    if (open) clipboard_closeMenu(false); else clipboard_showMenu(this,actions())
+  })
+  return button
+}
+
+// adds a copy button to the fragments of the page that have none yet,
+// and a menu of copy actions to the member titles
+function clipboard_init() {
   if(navigator.clipboard) {
     const fragments = document.getElementsByClassName("fragment")
     for(const fragment of fragments) {
+      if (fragment.querySelector(":scope > .clipboard")) continue
       const clipboard_div = document.createElement("div")
       clipboard_div.classList.add("clipboard")
       clipboard_div.innerHTML = clipboard_icon
       clipboard_div.title = clipboard_title
       $(clipboard_div).click(function() {
-        const content = this.parentNode.cloneNode(true)
-        // filter out line number and folded fragments from file listings
-        content.querySelectorAll(".lineno, .ttc, .foldclosed").forEach((node) => { node.remove() })
-        let text = content.textContent
-        // remove trailing newlines and trailing spaces from empty lines
-        text = text.replace(/^\s*\n/gm,'\n').replace(/\n*$/,'')
-        navigator.clipboard.writeText(text);
-        this.classList.add("success")
-        this.innerHTML = clipboard_successIcon
-        window.setTimeout(() => { // switch back to normal icon after timeout
-            this.classList.remove("success")
-            this.innerHTML = clipboard_icon
-        }, clipboard_successDuration);
+        clipboard_run(this.parentNode,"plain")
       })
+      const menu_button = clipboard_menuButton(clipboard_menuTitle,() => clipboard_fragmentActions(fragment))
+      menu_button.className = "clipboard-more"
+      menu_button.innerHTML = '<span class="arrowhead opened"></span>'
+      fragment.insertBefore(menu_button, fragment.firstChild)
       fragment.insertBefore(clipboard_div, fragment.firstChild)
     }
+    for (const title of document.querySelectorAll("h2.memtitle")) {
+      if (!title.querySelector(".permalink a") || title.querySelector(".memtitle-copy") || !clipboard_member(title)) continue
+      const button = clipboard_menuButton(clipboard_memberTitle,() => clipboard_memberActions(title))
+      button.className = "memtitle-copy"
+      button.innerHTML = clipboard_icon
+      title.appendChild(button)
+    }
   }
-})
+}
+
+$(clipboard_init)
+$(document).on("click",(e) => { if (!$(e.target).closest("ul.clipboard-menu").length) clipboard_closeMenu(false) })
+$(document).on("focusin",(e) => { if (!$(e.target).closest("ul.clipboard-menu, [aria-haspopup=menu]").length) clipboard_closeMenu(false) })
+document.addEventListener("scroll",() => clipboard_closeMenu(false),true)
@@ -55,4 +55,35 @@ let Cookie = {
       this.writeSetting(cookie,'',-1);
     }
   },
+
+  // Settings that may not fit in a cookie, such as lists of links, are kept in
+  // localStorage. A value still stored by writeSetting() is moved there.
+  readListSetting(cookie,defVal) {
+    try {
+      const val = localStorage.getItem(this.cookie_namespace+cookie);
+      if (val!==null) return val;
+      const old = this.readSetting(cookie,null);
+      if (old!==null) {
+        localStorage.setItem(this.cookie_namespace+cookie,old);
+        if (!window.chrome) this.writeSetting(cookie,'',-1);
+        return old;
+      }
+    } catch (e) { // storage disabled
+    }
+    return defVal;
+  },
+
+  writeListSetting(cookie,val) {
+    try {
+      localStorage.setItem(this.cookie_namespace+cookie,val);
+    } catch (e) { // storage disabled or full, keep the value for this page only
+    }
+  },
+
+  eraseListSetting(cookie) {
+    try {
+      localStorage.removeItem(this.cookie_namespace+cookie);
+    } catch (e) { // storage disabled
+    }
+  },
 }
@@ -27,6 +27,9 @@ function toggleVisibility(linkObj) {
   return dynsection.toggleVisibility(linkObj);
 }
 
+const DYNSECTION_COOKIE_NAME = ''+'dynsections';
+const MAX_DYNSECTION_STATES = 200;
+
 let dynsection = {
   // helper function
   updateStripes : function() {
@@ -38,20 +41,25 @@ let dynsection = {
 
   toggleVisibility : function(linkObj) {
     const base = $(linkObj).attr('id');
+    const open = $('#'+base+'-content').is(':visible')!==true;
+    this.showSection(base,open,true);
+    this.rememberState(base,open);
+    return false;
+  },
+
+  // opens or closes the section with id base, sliding it when animate is set
+  showSection : function(base,open,animate) {
     const summary = $('#'+base+'-summary');
     const content = $('#'+base+'-content');
-    const trigger = $('#'+base+'-trigger');
-    const src=$(trigger).attr('src');
-    if (content.is(':visible')===true) {
-      content.slideUp('fast');
-      summary.show();
-      $(linkObj).find('.arrowhead').addClass('closed').removeClass('opened');
-    } else {
-      content.slideDown('fast');
+    if (open) {
+      if (animate) content.slideDown('fast'); else content.show();
       summary.hide();
-      $(linkObj).find('.arrowhead').removeClass('closed').addClass('opened');
+      $('#'+base).find('.arrowhead').removeClass('closed').addClass('opened');
+    } else {
+      if (animate) content.slideUp('fast'); else content.hide();
+      summary.show();
+      $('#'+base).find('.arrowhead').addClass('closed').removeClass('opened');
     }
-    return false;
   },
 
   toggleLevel : function(level) {
@@ -108,19 +116,105 @@ let dynsection = {
   },
 
   toggleInherit : function(id) {
+    const open = $('tr.inherit.'+id).filter(':first').is(':visible')!==true;
+    this.showInherit(id,open);
+    this.rememberState(id,open);
+  },
+
+  showInherit : function(id,open) {
     let rows = $('tr.inherit.'+id);
     let header = $('tr.inherit_header.'+id);
-    if (rows.filter(':first').is(':visible')===true) {
+    if (open) {
+      rows.show();
+      $(header).find('.arrowhead').removeClass('closed').addClass('opened');
+    } else {
       rows.hide();
       $(header).find('.arrowhead').addClass('closed').removeClass('opened');
+    }
+  },
+
+  // the id of the inherited members group of a tr.inherit_header row
+  inheritId : function(header) {
+    return header.className.split(/\s+/).find((c) => c && c!='inherit_header');
+  },
+
+  // short key for the section id of the current page, to keep the cookie small
+  sectionKey : function(id) {
+    const s = location.pathname.replace(/.*\//,'')+'#'+id;
+    let h = 5381;
+    for (let i=0;i<s.length;i++) h = ((h<<5)+h+s.charCodeAt(i))|0;
+    return (h>>>0).toString(36);
+  },
+
+  // the remembered sections as key+ (open) or key- (closed), the most recently toggled last
+  readStates : function() {
+    return Cookie.readSetting(DYNSECTION_COOKIE_NAME,'').split('.').filter((state) => state);
+  },
+
+  rememberState : function(id,open) {
+    const key = this.sectionKey(id);
+    const states = this.readStates().filter((state) => state.slice(0,-1)!=key);
+    states.push(key+(open ? '+' : '-'));
+    Cookie.writeSetting(DYNSECTION_COOKIE_NAME,states.slice(-MAX_DYNSECTION_STATES).join('.'));
+  },
+
+  // opens and closes the sections of the page as they were left
+  restoreStates : function() {
+    const states = new Map(this.readStates().map((state) => [state.slice(0,-1),state.slice(-1)=='+']));
+    if (states.size==0) return;
+    $('div.dynheader[id]').each(function() {
+      const open = states.get(dynsection.sectionKey(this.id));
+      if (open!==undefined && $('#'+this.id+'-content').is(':visible')!==open) {
+        dynsection.showSection(this.id,open,false);
+      }
+    });
+    $('tr.inherit_header').each(function() {
+      const id = dynsection.inheritId(this);
+      const open = id && states.get(dynsection.sectionKey(id));
+      if (open!==undefined && $('tr.inherit.'+id).filter(':first').is(':visible')!==open) {
+        dynsection.showInherit(id,open);
+      }
+    });
+  },
+
+  // adds expand all and collapse all links to the page header
+  addToggleAll : function() {
+    if ($('div.dynheader[id], tr.inherit_header, table.directory').length==0) return;
+    let summary = $('div.header div.summary');
+    if (summary.length) {
+      summary.append(' &#124; ');
     } else {
-      rows.show();
-      $(header).find('.arrowhead').removeClass('closed').addClass('opened');
+      summary = $('<div class="summary"></div>').prependTo('div.header');
+    }
+    summary.append($('<a href="javascript:void(0)">Expand all</a>').click(() => this.toggleAll(true)));
+    summary.append(' &#124; ');
+    summary.append($('<a href="javascript:void(0)">Collapse all</a>').click(() => this.toggleAll(false)));
+  },
+
+  init : function() {
+    this.restoreStates();
+    this.addToggleAll();
+  },
+
+  // expand (or collapse) all collapsible sections of the page
+  toggleAll : function(expand) {
+    $('div.dynheader[id]').each(function() {
+      if ($('#'+this.id+'-content').is(':visible')!==expand) dynsection.toggleVisibility(this);
+    });
+    $('tr.inherit_header').each(function() {
+      const id = dynsection.inheritId(this);
+      if (id && $('tr.inherit.'+id).filter(':first').is(':visible')!==expand) dynsection.toggleInherit(id);
+    });
+    if ($('table.directory').length>0) {
+      this.toggleLevel(expand ? 99 : 1);
     }
   },
 
 };
 
+const CODEFOLD_COOKIE_NAME = ''+'codefold';
+const MAX_CODEFOLD_FILES = 8;
+
 let codefold = {
   opened : true,
 
@@ -137,6 +231,14 @@ let codefold = {
       $('div[id^=foldclosed]').hide();
     }
     this.opened=!this.opened;
+    this.save();
+  },
+
+  // the global toggle folds all blocks while any of them is open, and unfolds them once all are folded
+  updateToggleAll : function() {
+    this.opened = $('div[id^=foldopen]').filter(function() { return this.style.display!='none'; }).length>0 ||
+                  $('div[id^=foldopen]').length==0;
+    $('#fold_all').toggleClass('minus',this.opened).toggleClass('plus',!this.opened);
   },
 
   // toggle single folding block
@@ -144,9 +246,109 @@ let codefold = {
     $('#foldopen'+id).toggle();
     $('#foldclosed'+id).toggle();
     $('#foldopen'+id).next().find('span.fold').addClass('plus').removeClass('minus');
+    this.save();
+  },
+
+  // open or close a single folding block
+  setFold : function(id,open) {
+    $('#foldopen'+id).toggle(open);
+    $('#foldclosed'+id).toggle(!open);
+  },
+
+  // fold the blocks nested level deep or deeper, e.g. 3 for the member bodies of a class in a namespace
+  foldToLevel : function(level) {
+    $('div[id^=foldopen][data-level]').each(function() {
+      codefold.setFold(this.id.replace('foldopen',''),$(this).attr('data-level')<level);
+    });
+    this.save();
+  },
+
+  // fold all comment blocks, or unfold them when they are all folded already
+  toggle_comments : function() {
+    const folds = $('div[id^=foldopen][data-comment]');
+    const open = folds.filter(function() { return this.style.display=='none'; }).length==folds.length;
+    folds.each(function() { codefold.setFold(this.id.replace('foldopen',''),open); });
+    this.save();
+  },
+
+  // open the blocks hiding the line anchor with the given name; returns whether there were any
+  reveal : function(name) {
+    const folds = $('a[name='+name+']').parents('div[id^=foldopen]').filter(function() {
+      return this.style.display=='none';
+    });
+    folds.each(function() { codefold.setFold(this.id.replace('foldopen',''),true); });
+    if (folds.length) this.save();
+    return folds.length>0;
+  },
+
+  // the folded blocks of each listing are stored as key:id_id, the most recently changed listing last
+  readStates : function() {
+    return Cookie.readSetting(CODEFOLD_COOKIE_NAME,'').split('.').filter((state) => state);
+  },
+
+  save : function() {
+    const key = dynsection.sectionKey('code');
+    const closed = $('div[id^=foldopen]').filter(function() { return this.style.display=='none'; }).
+                   map(function() { return this.id.replace('foldopen',''); }).get();
+    this.updateToggleAll();
+    const states = this.readStates().filter((state) => state.split(':')[0]!=key);
+    if (closed.length) states.push(key+':'+closed.join('_'));
+    if (states.length) {
+      Cookie.writeSetting(CODEFOLD_COOKIE_NAME,states.slice(-MAX_CODEFOLD_FILES).join('.'));
+    } else {
+      Cookie.eraseSetting(CODEFOLD_COOKIE_NAME);
+    }
+  },
+
+  // wrap runs of comment lines of the source listings in a folding block, like the code blocks doxygen
+  // generates; code examples in the documentation have no line numbers and are left as they are
+  addCommentFolds : function() {
+    const firstLine = $('span[class=lineno]:first').parent()[0]; // holds the fold all toggle
+    const isComment = function(line) {
+      const parts = $(line).contents().not('a[name], span.lineno');
+      return line!=firstLine && parts.filter('span.comment').length>0 && parts.toArray().every((n) =>
+             (n.nodeType==3 && n.textContent.trim()=='') || $(n).is('span.comment'));
+    }
+    let run = [];
+    const wrap = function() {
+      if (run.length>1) {
+        const id = 'c'+$(run[0]).children('a[name]').attr('name').substring(1);
+        const fold = $('<div class="foldopen" id="foldopen'+id+'" data-start="" data-end="" data-comment="1"></div>');
+        // move the newlines between the lines along, copying the listing as text relies on them
+        const nodes = [];
+        for (let node=run[0]; node!=run[run.length-1].nextSibling; node=node.nextSibling) nodes.push(node);
+        fold.insertBefore(run[0]).append(nodes);
+      }
+      run = [];
+    }
+    $('div.fragment').has('span.lineno').find('div.line').each(function() {
+      if (!isComment(this) || $(this).children('a[name]').length==0) {
+        wrap();
+      } else {
+        if (run.length && run[run.length-1].nextElementSibling!=this) wrap();
+        run.push(this);
+      }
+    });
+    wrap();
+  },
+
+  // adds the fold to level and comment controls to the page header
+  addControls : function() {
+    const levels = $('div[id^=foldopen][data-level]').map(function() { return +$(this).attr('data-level'); }).get();
+    if (levels.length==0) return;
+    const bar = $('<div class="summary">Fold to level</div>');
+    for (let level=1;level<=Math.min(Math.max(...levels),6);level++) {
+      bar.append(' ').append($('<a href="javascript:void(0)">'+level+'</a>').click(() => this.foldToLevel(level)));
+    }
+    if ($('div[id^=foldopen][data-comment]').length) {
+      bar.append(' &#124; ').append($('<a href="javascript:void(0)">Fold comments</a>').click(() => this.toggle_comments()));
+    }
+    bar.append(' &#124; ').append($('<a href="javascript:void(0)">Unfold all</a>').click(() => this.foldToLevel(99)));
+    $('div.header').prepend(bar);
   },
 
   init : function() {
+    this.addCommentFolds();
     $('span[class=lineno]').css({
       'padding-right':'4px',
       'margin-right':'2px',
@@ -186,13 +388,31 @@ let codefold = {
       // insert constructed line into closed div
       $('#foldclosed'+id).html(line);
     });
+    $('div[id^=foldopen]').not('[data-comment]').each(function() {
+      $(this).attr('data-level',$(this).parents('div[id^=foldopen]').not('[data-comment]').length+1);
+    });
+    // fold the blocks as they were left, but keep a targeted line visible
+    const key = dynsection.sectionKey('code');
+    const saved = this.readStates().find((state) => state.split(':')[0]==key);
+    if (saved) {
+      saved.split(':')[1].split('_').forEach((id) => this.setFold(id,false));
+    }
+    if (/^#l\d+$/.test(location.hash)) {
+      this.reveal(location.hash.substring(1));
+    }
+    this.updateToggleAll();
+    this.addControls();
   },
 };
-/* @license-end */
-$(function() {
+
+// sets up the tooltips of the code links in the page
+function initPowerTips() {
   $('.code,.codeRef').each(function() {
     $(this).data('powertip',$('#a'+$(this).attr('href').replace(/.*\//,'').replace(/[^a-z_A-Z0-9]/g,'_')).html());
     $.fn.powerTip.smartPlacementLists.s = [ 's', 'n', 'ne', 'se' ];
     $(this).powerTip({ placement: 's', smartPlacement: true, mouseOnToPopup: true });
   });
-});
+}
+/* @license-end */
+$(initPowerTips);
+$(function() { dynsection.init(); });
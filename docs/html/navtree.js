@@ -28,8 +28,18 @@ function initNavTree(toroot,relpath,allMembersFile) {
   const ARROW_DOWN = '<span class="arrowhead opened"></span>';
   const ARROW_RIGHT = '<span class="arrowhead closed"></span>';
   const NAVPATH_COOKIE_NAME = ''+'navpath';
+  const EXPANDED_COOKIE_NAME = ''+'navtree_expanded';
+  const MAX_EXPANDED_PATHS = 200;
+  const FAVOURITES_COOKIE_NAME = ''+'favourites';
+  const MAX_FAVOURITES = 30;
+  const PAGE_TRANSITIONS_COOKIE_NAME = ''+'page_transitions';
+  const MAX_CACHED_PAGES = 20;
   const fullSidebar = typeof page_layout!=='undefined' && page_layout==1;
 
+  // functions setting up the contents of the page, run again when a page
+  // transition replaces it
+  const contentInits = [];
+
   function getScrollBarWidth () {
     let outer = $('<div>').css({visibility: 'hidden', width: 100, overflow: 'scroll', scrollbarWidth: 'thin'}).appendTo('body');
     let widthWithScroll = $('<div>').css({width: '100%'}).appendTo(outer).outerWidth();
@@ -90,14 +100,49 @@ function initNavTree(toroot,relpath,allMembersFile) {
     return Cookie.readSetting(NAVPATH_COOKIE_NAME,'');
   }
 
-  const getScript = function(scriptName,func) {
-    const head = document.getElementsByTagName("head")[0];
-    const script = document.createElement('script');
-    script.id = scriptName;
-    script.type = 'text/javascript';
-    script.onload = function() { func(); adjustSyncIconPosition(); }
-    script.src = scriptName+'.js';
-    head.appendChild(script);
+  // The scripts added by getScript, by name, with the functions waiting for
+  // them to load. Each script is added once, however often it is needed.
+  const scripts = {};
+
+  // calls func once the script is loaded, or failed, if given, if it cannot be
+  const getScript = function(scriptName,func,failed) {
+    let script = scripts[scriptName];
+    if (script && script.loaded) {
+      func();
+      return;
+    }
+    if (!script) {
+      script = scripts[scriptName] = { loaded: false, waiting: [] };
+      const head = document.getElementsByTagName("head")[0];
+      const element = document.createElement('script');
+      element.id = scriptName;
+      element.type = 'text/javascript';
+      element.onload = function() {
+        script.loaded = true;
+        script.waiting.splice(0).forEach((w) => w.func());
+        adjustSyncIconPosition();
+      }
+      element.onerror = function() { // allow another try
+        delete scripts[scriptName];
+        element.remove();
+        script.waiting.splice(0).forEach((w) => { if (w.failed) w.failed(); });
+      }
+      element.src = scriptName+'.js';
+      head.appendChild(element);
+    }
+    script.waiting.push({ func: func, failed: failed });
+  }
+
+  // calls func with the contents of navtreeindex file i, loading it if needed
+  const loadIndex = function(i,func) {
+    if (navTreeSubIndices[i]) {
+      func(navTreeSubIndices[i]);
+    } else {
+      getScript(relpath+'navtreeindex'+i,function() {
+        navTreeSubIndices[i] = window['NAVTREEINDEX'+i];
+        func(navTreeSubIndices[i]);
+      },() => func(undefined));
+    }
   }
 
   const createIndent = function(o,domNode,node) {
@@ -112,13 +157,21 @@ function initNavTree(toroot,relpath,allMembersFile) {
       node.plus_img = imgNode;
       node.expandToggle = document.createElement("a");
       node.expandToggle.href = "javascript:void(0)";
+      node.expandToggle.tabIndex = -1; // the tree item is focused instead
+      node.expandToggle.setAttribute('aria-hidden','true');
       node.expandToggle.onclick = function() {
         if (node.expanded) {
           $(node.getChildrenUL()).slideUp("fast",adjustSyncIconPosition);
           $(node.plus_img.childNodes[0]).removeClass('opened').addClass('closed');
           node.expanded = false;
+          updateExpanded(node);
+          let n = tabStopNode && tabStopNode.parentNode;
+          while (n && n!=node) n = n.parentNode;
+          if (n) setTabStop(node); // the tab stop got hidden
+          rememberExpanded(node,false);
         } else {
           expandNode(o, node, false, true);
+          rememberExpanded(node,true);
         }
       }
       node.expandToggle.appendChild(imgNode);
@@ -199,6 +252,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
           this.childrenUL = document.createElement("ul");
           this.childrenUL.className = "children_ul";
           this.childrenUL.style.display = "none";
+          this.childrenUL.setAttribute('role','group');
           this.li.appendChild(node.childrenUL);
         }
         return node.childrenUL;
@@ -207,11 +261,16 @@ function initNavTree(toroot,relpath,allMembersFile) {
 
     node.itemDiv.className = "item";
     node.labelSpan.className = "label";
+    node.li.setAttribute('role','treeitem');
+    node.li.setAttribute('aria-level',node.depth);
+    node.li.tabIndex = -1;
+    if (childrenData) node.li.setAttribute('aria-expanded','false');
     createIndent(o,node.itemDiv,node);
     node.itemDiv.appendChild(node.labelSpan);
     node.li.appendChild(node.itemDiv);
 
     const a = document.createElement("a");
+    a.tabIndex = -1;
     node.labelSpan.appendChild(a);
     po.getChildrenUL().appendChild(node.li);
     a.appendChild(htmlToNode('<span>'+text+'</span>'));
@@ -226,11 +285,11 @@ function initNavTree(toroot,relpath,allMembersFile) {
       a.className = stripPath(link.replace('#',':'));
       if (link.indexOf('#')!=-1) {
         const aname = '#'+link.split('#')[1];
-        const srcPage = stripPath(pathName());
         const targetPage = stripPath(link.split('#')[0]);
-        a.href = srcPage!=targetPage ? url : aname;
+        a.href = url; // only changes the hash when on the target page
         a.onclick = function() {
           storeLink(link);
+          if (stripPath(pathName())!=targetPage) return; // page transitions change the page
           aPPar = $(a).parent().parent();
           if (!aPPar.hasClass('selected')) {
             $('.item').removeClass('selected');
@@ -245,6 +304,11 @@ function initNavTree(toroot,relpath,allMembersFile) {
         a.href = url;
         a.onclick = () => storeLink(link);
       }
+      if (url==node.relpath+link) { // not an external link
+        const star = createStar('span',a.textContent,link);
+        star.setAttribute('aria-hidden','true');
+        node.labelSpan.appendChild(star);
+      }
     } else if (childrenData != null) {
       a.className = "nolink";
       a.href = "javascript:void(0)";
@@ -257,16 +321,18 @@ function initNavTree(toroot,relpath,allMembersFile) {
     const headerHeight = $("#top").height();
     const footerHeight = $("#nav-path").height();
     const windowHeight = $(window).height() - headerHeight - footerHeight;
-    (function() { // retry until we can scroll to the selected item
-      try {
-        const navtree=$('#nav-tree');
-        navtree.scrollTo('#selected',100,{offset:-windowHeight/2});
-      } catch (err) {
-        setTimeout(arguments.callee, 0);
+    if ($('#selected').length>0) { // else called again once selected
+      const navtree = $('#nav-tree');
+      if (keepTreeScroll) {
+        const top = $('#selected').offset().top-navtree.offset().top;
+        if (top>=0 && top<navtree.height()) return;
       }
-    })();
+      navtree.scrollTo('#selected',100,{offset:-windowHeight/2});
+    }
   }
 
+  let keepTreeScroll = false; // after a page transition, only scroll to a hidden item
+
   const expandNode = function(o, node, imm, setFocus) {
     if (node.childrenData && !node.expanded) {
       if (typeof(node.childrenData)==='string') {
@@ -282,13 +348,54 @@ function initNavTree(toroot,relpath,allMembersFile) {
         $(node.getChildrenUL()).slideDown("fast",adjustSyncIconPosition);
         $(node.plus_img.childNodes[0]).addClass('opened').removeClass('closed');
         node.expanded = true;
+        updateExpanded(node);
         if (setFocus) {
-          $(node.expandToggle).focus();
+          focusNode(node);
         }
       }
     }
   }
 
+  // keeps aria-expanded of the tree item of node in sync with node.expanded
+  const updateExpanded = function(node) {
+    if (node.childrenData) node.li.setAttribute('aria-expanded',node.expanded ? 'true' : 'false');
+  }
+
+  // makes node the tree item reached with Tab (roving tabindex)
+  let tabStopNode = null;
+  const setTabStop = function(node) {
+    if (tabStopNode==node) return;
+    if (tabStopNode) tabStopNode.li.tabIndex = -1;
+    tabStopNode = node;
+    node.li.tabIndex = 0;
+  }
+
+  const focusNode = function(node) {
+    setTabStop(node);
+    node.li.focus();
+  }
+
+  // returns the first node below node for which pred returns true
+  const findNode = function(node,pred) {
+    for (const child of node.children) {
+      if (pred(child)) return child;
+      const found = findNode(child,pred);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // returns the nodes below node that are shown, in tree order
+  const visibleNodes = function(node,list) {
+    node.children.forEach((child) => {
+      if (child.li.style.display!='none') {
+        list.push(child);
+        if (child.expanded) visibleNodes(child,list);
+      }
+    });
+    return list;
+  }
+
   const glowEffect = function(n,duration) {
     n.addClass('glow').delay(duration).queue(function(next) {
       $(this).removeClass('glow');next();
@@ -315,6 +422,8 @@ function initNavTree(toroot,relpath,allMembersFile) {
       $(n.itemDiv).addClass('selected');
       $(n.itemDiv).attr('id','selected');
     }
+    const selected = findNode(o.node,(node) => $(node.itemDiv).hasClass('selected'));
+    if (selected) setTabStop(selected);
     let topOffset=5;
     if ($('#nav-tree-contents .item:first').hasClass('selected')) {
       topOffset+=25;
@@ -329,7 +438,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
         getScript(node.relpath+varName,function() {
           node.childrenData = getData(varName);
           showNode(o,node,index,hash);
-        });
+        },() => selectAndHighlight(hash));
       } else {
         if (!node.childrenVisited) {
           getNode(o, node);
@@ -337,6 +446,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
         $(node.getChildrenUL()).css({'display':'block'});
         $(node.plus_img.childNodes[0]).removeClass('closed').addClass('opened');
         node.expanded = true;
+        updateExpanded(node);
         const n = node.children[o.breadcrumbs[index]];
         if (index+1<o.breadcrumbs.length) {
           showNode(o,n,index+1,hash);
@@ -346,7 +456,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
             n.childrenData = getData(varName);
             node.expanded=false;
             showNode(o,node,index,hash); // retry with child node expanded
-          });
+          },() => selectAndHighlight(hash,n));
         } else {
           const rootBase = stripPath(o.toroot.replace(/\..+$/, ''));
           if (rootBase=="index" || rootBase=="pages" || rootBase=="search") {
@@ -366,7 +476,227 @@ function initNavTree(toroot,relpath,allMembersFile) {
     for (let i in po.childrenData) {
       const nodeData = po.childrenData[i];
       po.children[i] = newNode(o, po, nodeData[0], nodeData[1], nodeData[2], i==l);
+      po.children[i].path = (po.path ? po.path+'.' : '')+i;
+    }
+    if (po==o.node && !tabStopNode && po.children.length>0) {
+      setTabStop(po.children[0]);
+    }
+  }
+
+  // calls func for node and all its descendants that have been created
+  const forEachNode = function(node,func) {
+    node.children.forEach((child) => { func(child); forEachNode(child,func); });
+  }
+
+  // loads the children of node, which may be in a separate script, and
+  // creates their DOM nodes, then calls func, or failed if given when the
+  // script cannot be loaded
+  const loadChildren = function(node,func,failed) {
+    if (typeof(node.childrenData)==='string') {
+      const varName = node.childrenData;
+      getScript(node.relpath+varName,function() {
+        node.childrenData = getData(varName);
+        loadChildren(node,func,failed);
+      },failed);
+    } else {
+      if (node.childrenData && !node.childrenVisited) {
+        getNode(o, node);
+      }
+      func();
+    }
+  }
+
+  // loads the whole tree below node, then calls func, or failed if a part of
+  // it cannot be loaded
+  const loadTree = function(node,func,failed) {
+    loadChildren(node,function() {
+      let pending = node.children.length;
+      let ok = true;
+      const done = () => { if (--pending==0) (ok ? func : failed)(); }
+      if (pending==0) func();
+      node.children.forEach((child) => loadTree(child,done,() => { ok = false; done(); }));
+    },failed);
+  }
+
+  // shows or hides the children of node, which need to be created
+  const setExpanded = function(node,expanded) {
+    if (!node.childrenData) return;
+    $(node.getChildrenUL()).css({'display':expanded ? 'block' : 'none'});
+    $(node.plus_img.childNodes[0]).toggleClass('opened',expanded).toggleClass('closed',!expanded);
+    node.expanded = expanded;
+    updateExpanded(node);
+  }
+
+  // The paths (child indices from the root, e.g. '0.3.1') of the nodes the
+  // user expanded, which are expanded again on the next page. The nodes
+  // expanded to show the current page are not included.
+  const expandedPaths = new Set(Cookie.readSetting(EXPANDED_COOKIE_NAME,'').split('-').filter((path) => path!=''));
+
+  const storeExpanded = function() {
+    while (expandedPaths.size>MAX_EXPANDED_PATHS) { // forget the oldest
+      expandedPaths.delete(expandedPaths.values().next().value);
+    }
+    if (expandedPaths.size>0) {
+      Cookie.writeSetting(EXPANDED_COOKIE_NAME,Array.from(expandedPaths).join('-'));
+    } else {
+      Cookie.eraseSetting(EXPANDED_COOKIE_NAME);
+    }
+  }
+
+  // records that the user expanded or collapsed node
+  const rememberExpanded = function(node,expanded) {
+    if (!node.childrenData) return;
+    expandedPaths.delete(node.path);
+    if (expanded) expandedPaths.add(node.path);
+    storeExpanded();
+  }
+
+  // expands the nodes in expandedPaths, loading their data as needed
+  const restoreExpanded = function() {
+    expandedPaths.forEach((path) => {
+      const indices = path.split('.');
+      const walk = function(node,i) {
+        loadChildren(node,function() {
+          const child = node.children[indices[i]];
+          if (!child) { // the tree has changed since
+            expandedPaths.delete(path);
+            storeExpanded();
+          } else if (i+1<indices.length) {
+            walk(child,i+1);
+          } else {
+            loadChildren(child,() => setExpanded(child,true));
+          }
+        });
+      }
+      walk(o.node,0);
+    });
+  }
+
+  // expands the nodes up to the given depth (1 for the top level nodes)
+  // and collapses the others, replacing the nodes the user expanded
+  const expandToDepth = function(depth) {
+    expandedPaths.clear();
+    const expand = function(node) {
+      node.children.forEach((child) => {
+        if (child.depth<=depth && child.childrenData) {
+          expandedPaths.add(child.path);
+          loadChildren(child,function() {
+            setExpanded(child,true);
+            expand(child);
+          });
+        } else {
+          setExpanded(child,false);
+          forEachNode(child,(n) => setExpanded(n,false));
+        }
+      });
+    }
+    loadChildren(o.node,() => expand(o.node));
+    storeExpanded();
+    adjustSyncIconPosition();
+  }
+
+  // The favourites are the pages and members starred by the user, listed at
+  // the top of the tree. Each is a { name, ref } with ref the link relative
+  // to the root of the documentation.
+
+  // returns the valid favourites in list, which may come from an imported file
+  const checkFavourites = function(list) {
+    if (!Array.isArray(list)) return [];
+    const refs = new Set();
+    return list.filter((fav) => fav && typeof fav.name=='string' && typeof fav.ref=='string' &&
+                                /^[\w.\-\/]+\.html(#[\w\-]+)?$/.test(fav.ref) && !fav.ref.startsWith('/') &&
+                                !refs.has(fav.ref) && refs.add(fav.ref))
+               .map((fav) => ({ name: fav.name, ref: fav.ref }));
+  }
+
+  const loadFavourites = function() {
+    try { // stored as [name,ref] pairs to save space
+      const stored = JSON.parse(decodeURIComponent(Cookie.readListSetting(FAVOURITES_COOKIE_NAME,'')));
+      return checkFavourites(stored.map((pair) => ({ name: pair[0], ref: pair[1] })));
+    } catch (e) { // nothing stored or corrupt setting
+      return [];
+    }
+  }
+
+  let favourites = loadFavourites();
+
+  const storeFavourites = function() {
+    favourites = favourites.slice(0,MAX_FAVOURITES);
+    if (favourites.length==0) {
+      Cookie.eraseListSetting(FAVOURITES_COOKIE_NAME);
+    } else {
+      Cookie.writeListSetting(FAVOURITES_COOKIE_NAME,
+                              encodeURIComponent(JSON.stringify(favourites.map((fav) => [fav.name,fav.ref]))));
+    }
+    showFavourites();
+  }
+
+  const isFavourite = function(ref) {
+    return favourites.some((fav) => fav.ref==ref);
+  }
+
+  const toggleFavourite = function(name,ref) {
+    if (isFavourite(ref)) {
+      favourites = favourites.filter((fav) => fav.ref!=ref);
+    } else if (favourites.length<MAX_FAVOURITES) {
+      favourites.push({ name: name, ref: ref });
+    }
+    storeFavourites();
+  }
+
+  // moves the favourite at index from to index to
+  const moveFavourite = function(from,to) {
+    if (from==to || to<0 || to>=favourites.length) return;
+    favourites.splice(to,0,favourites.splice(from,1)[0]);
+    storeFavourites();
+  }
+
+  // returns a star toggling the favourite { name, ref }
+  const createStar = function(tag,name,ref) {
+    const star = document.createElement(tag);
+    star.className = 'nav-fav-star';
+    star.dataset.ref = ref;
+    star.onclick = function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleFavourite(name,ref);
+    };
+    updateStar(star);
+    return star;
+  }
+
+  const updateStar = function(star) {
+    const on = isFavourite(star.dataset.ref);
+    star.innerHTML = on ? '&#9733;' : '&#9734;';
+    star.title = on ? 'Remove from favourites' : 'Add to favourites';
+    $(star).toggleClass('on',on);
+  }
+
+  // shows the favourites in the group at the top of the tree, if created,
+  // and updates the stars
+  const showFavourites = function() {
+    $('.nav-fav-star').each(function() { updateStar(this); });
+    const list = $('#nav-favourites-list');
+    list.empty();
+    if (favourites.length==0) {
+      list.append($('<li class="nav-favourites-empty">').text('Click \u2606 next to a page or member to add it here.'));
     }
+    favourites.forEach((fav,index) => {
+      const li = $('<li draggable="true">').attr('data-index',index);
+      const a = $('<a>').attr({href: relpath+fav.ref, title: fav.ref}).text(fav.name);
+      a.on('keydown',function(e) { // Alt+Up/Down reorders without a mouse
+        if (e.altKey && (e.key=='ArrowUp' || e.key=='ArrowDown')) {
+          const to = e.key=='ArrowUp' ? index-1 : index+1;
+          moveFavourite(index,to);
+          $('#nav-favourites-list li').eq(Math.max(0,Math.min(to,favourites.length-1))).find('a').focus();
+          e.preventDefault();
+        }
+      });
+      const remove = $('<a href="javascript:void(0)" class="nav-favourites-remove" title="Remove from favourites">&#215;</a>');
+      remove.click(() => toggleFavourite(fav.name,fav.ref));
+      list.append(li.append(a,remove));
+    });
+    $('#nav-favourites-export').toggle(favourites.length>0);
   }
 
   const gotoNode = function(o,subIndex,root,hash,relpath) {
@@ -392,16 +722,98 @@ function initNavTree(toroot,relpath,allMembersFile) {
     let i=-1;
     while (NAVTREEINDEX[i+1]<=url) i++;
     if (i==-1) { i=0; root=NAVTREE[0][1]; } // fallback: show index
-    if (navTreeSubIndices[i]) {
-      gotoNode(o,i,root,hash,relpath)
+    loadIndex(i,(index) => { if (index) gotoNode(o,i,root,hash,relpath); });
+  }
+
+  // calls func with the breadcrumbs of url in the tree, as listed in the
+  // navtreeindex files, or with undefined if url is not in the tree
+  const findBreadcrumbs = function(url,func) {
+    let i=-1;
+    while (NAVTREEINDEX[i+1]<=url) i++;
+    if (i==-1) {
+      func(undefined);
     } else {
-      getScript(relpath+'navtreeindex'+i,function() {
-        navTreeSubIndices[i] = window['NAVTREEINDEX'+i];
-        if (navTreeSubIndices[i]) {
-          gotoNode(o,i,root,hash,relpath);
-        }
+      loadIndex(i,(index) => func(index && index[url]));
+    }
+  }
+
+  // calls func with the entries of childrenData, loading their script if needed
+  const loadEntries = function(childrenData,func) {
+    if (typeof(childrenData)!=='string') {
+      func(childrenData || []);
+    } else {
+      getScript(relpath+childrenData,() => func(getData(childrenData) || []),() => func([]));
+    }
+  }
+
+  // calls func with the lists of entries along the given breadcrumbs, where
+  // lists[i][breadcrumbs[i]] is an entry [ text, link, childrenData ], or
+  // with undefined if the tree has no such entry
+  const findLists = function(breadcrumbs,func) {
+    const lists = [];
+    const walk = function(entries,i) {
+      lists.push(entries);
+      const entry = entries[breadcrumbs[i]];
+      if (!entry) {
+        func(undefined);
+      } else if (i+1==breadcrumbs.length) {
+        func(lists);
+      } else {
+        loadEntries(entry[2],(children) => walk(children,i+1));
+      }
+    }
+    walk(NAVTREE,0);
+  }
+
+  // calls func with the tree entry at the given breadcrumbs, or with undefined
+  const findEntry = function(breadcrumbs,func) {
+    findLists(breadcrumbs,(lists) => func(lists && lists[lists.length-1][breadcrumbs[breadcrumbs.length-1]]));
+  }
+
+  // the lines of a source listing with their number, leaving out the copies shown for folded blocks
+  const sourceLines = function() {
+    return $('div.fragment div.line').filter(function() {
+      return $(this).children('a[name^=l]').length>0 && $(this).closest('div.foldclosed').length==0;
+    }).map(function() {
+      const name = $(this).children('a[name^=l]').attr('name');
+      return { line:this, name:name, number:parseInt(name.substring(1),10) };
+    }).get();
+  }
+
+  // highlights the source lines from..to and adds the buttons copying their permalink and code;
+  // returns the first selected line. Without arguments it only clears the selection.
+  const selectLines = function(from,to) {
+    $('div.line.line-selected').removeClass('line-selected');
+    $('div.line-selection-tools').remove();
+    if (from===undefined) return undefined;
+    const lines = sourceLines().filter((l) => l.number>=Math.min(from,to) && l.number<=Math.max(from,to));
+    if (lines.length==0) return undefined;
+    lines.forEach(function(l) {
+      codefold.reveal(l.name);
+      $(l.line).addClass('line-selected');
+    });
+    const hash = '#'+lines[0].name+(lines.length>1 ? '-'+lines[lines.length-1].name : '');
+    const tools = $('<div class="line-selection-tools"></div>');
+    const addButton = function(label,text) {
+      const button = $('<button type="button"></button>').text(label).click(function() {
+        navigator.clipboard.writeText(text()).then(() => {
+          button.text('Copied');
+          setTimeout(() => button.text(label),clipboard_successDuration);
+        });
+        return false;
       });
+      tools.append(button);
     }
+    if (navigator.clipboard) {
+      addButton('Copy link',() => location.href.split('#')[0]+hash);
+      addButton('Copy code',() => lines.map(function(l) {
+        const line = l.line.cloneNode(true);
+        line.querySelectorAll('.lineno, .ttc, .line-selection-tools').forEach((node) => node.remove());
+        return line.textContent.replace(/\s+$/,'');
+      }).join('\n'));
+      $(lines[0].line).append(tools);
+    }
+    return lines[0].line;
   }
 
   const navTo = function(o,root,hash,relpath) {
@@ -411,10 +823,16 @@ function initNavTree(toroot,relpath,allMembersFile) {
       root = parts[0];
       hash = parts.length>1 ? '#'+parts[1].replace(/[^\w-]/g,'') : '';
     }
-    if (hash.match(/^#l\d+$/)) {
-      const anchor=$('a[name='+hash.substring(1)+']');
-      glowEffect(anchor.parent(),1000); // line number
+    const lines = hash.match(/^#l(\d+)(?:-l(\d+))?$/);
+    if (lines) {
+      const line = selectLines(parseInt(lines[1],10),parseInt(lines[2]||lines[1],10));
+      if (line) {
+        line.scrollIntoView();
+        if (!lines[2]) glowEffect($(line),1000); // line number
+      }
       hash=''; // strip line number anchors
+    } else {
+      selectLines();
     }
     gotoUrl(o,root,hash,relpath);
   }
@@ -443,6 +861,8 @@ function initNavTree(toroot,relpath,allMembersFile) {
     },
   };
   o.node.li.appendChild(o.node.childrenUL);
+  o.node.childrenUL.setAttribute('role','tree');
+  o.node.childrenUL.setAttribute('aria-label','Navigation');
   o.node.plus_img.className = 'arrow';
   o.node.plus_img.innerHTML = ARROW_RIGHT;
 
@@ -468,6 +888,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
   });
 
   navTo(o,toroot,hashUrl(),relpath);
+  restoreExpanded();
   showRoot();
 
   $(window).bind('hashchange', () => {
@@ -603,7 +1024,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
       resizeWidth(false);
       showHideNavBar();
       if (location.hash.slice(1)) {
-        (document.getElementById(location.hash.slice(1))||document.body).scrollIntoView();
+        (document.getElementById(location.hash.slice(1).replace(/-l\d+$/,''))||document.body).scrollIntoView();
       }
     }
 
@@ -666,17 +1087,762 @@ function initNavTree(toroot,relpath,allMembersFile) {
       resizeHeight();
       lastWidth = $(window).width();
       lastHeight = $(window).height();
-      content.scroll(function() {
-        navtree_trampoline.updateContentTop();
+    });
+  }
+
+
+  // keyboard navigation of the tree as described by the WAI-ARIA tree pattern
+  function initTreeKeyboard() {
+    const tree = o.node.childrenUL;
+    let typed = '';
+    let typedTime = 0;
+    const nodeOf = (li) => findNode(o.node,(node) => node.li==li);
+
+    // focuses the next visible item starting with the characters typed
+    // less than 500ms apart
+    const typeAhead = function(key,visible,index) {
+      const now = Date.now();
+      typed = (now-typedTime>500 ? '' : typed) + key.toLowerCase();
+      typedTime = now;
+      const start = typed.length==1 ? index+1 : index;
+      for (let i=0; i<visible.length; i++) {
+        const node = visible[(start+i)%visible.length];
+        if (node.labelSpan.textContent.toLowerCase().startsWith(typed)) {
+          focusNode(node);
+          return;
+        }
+      }
+    }
+
+    tree.addEventListener('focusin',function(e) {
+      const node = nodeOf(e.target.closest('li[role=treeitem]'));
+      if (node) setTabStop(node);
+    });
+
+    tree.addEventListener('keydown',function(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      const node = nodeOf(e.target.closest('li[role=treeitem]'));
+      if (!node) return;
+      const visible = visibleNodes(o.node,[]);
+      const index = visible.indexOf(node);
+      switch (e.key) {
+        case 'ArrowDown':
+          if (index+1<visible.length) focusNode(visible[index+1]);
+          break;
+        case 'ArrowUp':
+          if (index>0) focusNode(visible[index-1]);
+          break;
+        case 'Home':
+          focusNode(visible[0]);
+          break;
+        case 'End':
+          focusNode(visible[visible.length-1]);
+          break;
+        case 'ArrowRight': // expand, or go to the first child if expanded
+          if (node.childrenData && !node.expanded) {
+            expandNode(o, node, false, false);
+            rememberExpanded(node,true);
+          } else if (node.expanded && visible[index+1] && visible[index+1].parentNode==node) {
+            focusNode(visible[index+1]);
+          }
+          break;
+        case 'ArrowLeft': // collapse, or go to the parent if collapsed
+          if (node.expanded) {
+            node.expandToggle.onclick();
+          } else if (node.parentNode!=o.node) {
+            focusNode(node.parentNode);
+          }
+          break;
+        case 'Enter':
+          node.labelSpan.firstChild.click();
+          break;
+        case '*': // expand all siblings
+          node.parentNode.children.forEach((sibling) => {
+            expandNode(o, sibling, false, false);
+            rememberExpanded(sibling,true);
+          });
+          break;
+        default:
+          if (e.key.length!=1 || e.key==' ') return;
+          typeAhead(e.key,visible,index);
+      }
+      e.preventDefault();
+    });
+  }
+
+  const transitionsEnabled = function() {
+    return location.protocol!='file:' && window.fetch && window.DOMParser &&
+           Cookie.readSetting(PAGE_TRANSITIONS_COOKIE_NAME,'off')=='on';
+  }
+
+  // The HTML of the pages fetched for page transitions, by URL without hash
+  const pageCache = new Map();
+
+  // returns a promise of the HTML of the page at url
+  const fetchPage = function(url) {
+    let page = pageCache.get(url);
+    if (!page) {
+      page = fetch(url).then(function(response) {
+        if (!response.ok) throw new Error(url+': '+response.status);
+        return response.text();
+      });
+      page.catch(() => pageCache.delete(url));
+      pageCache.set(url,page);
+      if (pageCache.size>MAX_CACHED_PAGES) pageCache.delete(pageCache.keys().next().value);
+    }
+    return page;
+  }
+
+  // With page transitions on, following a link to another page of the
+  // documentation fetches that page and replaces the content of this one,
+  // so the tree, the panels and the search box stay as they are.
+  function initPageTransitions() {
+    let currentPage = location.href.split('#')[0];
+    let navigation = 0; // drops the pages fetched for an earlier link
+
+    // shows the page at url with the given html, returns false if its
+    // layout differs from this page, so it needs to be loaded in full
+    const showPage = function(url,html,push,scrollTop) {
+      const doc = new DOMParser().parseFromString(html,'text/html');
+      const content = doc.getElementById('doc-content');
+      const args = html.match(/initNavTree\('([^']*)','([^']*)','([^']*)'\)/);
+      if (!content || !args || args[2]!=relpath || content.querySelector('script') ||
+          !doc.getElementById('page-nav')!=!document.getElementById('page-nav')) {
+        return false;
+      }
+      if (typeof searchBox!=='undefined') searchBox.CloseResultsWindow();
+      // init_search() filled in the search windows when this page was loaded, keep them
+      const searchWindows = $('#MSearchSelectWindow, #MSearchResultsWindow').detach();
+      $('#doc-content').empty().append(Array.from(content.childNodes).map((node) => document.adoptNode(node)));
+      searchWindows.each(function() {
+        const fetched = document.getElementById(this.id);
+        if (fetched) fetched.replaceWith(this); else $('#doc-content').prepend(this);
+      });
+      $('#nav-path li.navelem').remove();
+      $('#nav-path ul').prepend($(doc).find('#nav-path li.navelem').toArray().map((node) => document.adoptNode(node)));
+      $('#page-nav-contents').empty();
+      document.title = doc.title;
+      if (push) history.pushState(null,'',url);
+      currentPage = url.split('#')[0];
+      toroot = o.toroot = args[1];
+      allMembersFile = args[3];
+
+      initContent();
+
+      keepTreeScroll = true;
+      $('.item').removeClass('selected').removeAttr('id');
+      navTo(o,toroot,hashUrl(),relpath);
+      const target = hashValue() && document.getElementById(hashValue());
+      if (scrollTop!==undefined) {
+        $('#doc-content').scrollTop(scrollTop);
+      } else if (target) {
+        target.scrollIntoView();
+      } else {
+        $('#doc-content').scrollTop(0);
+      }
+      return true;
+    }
+
+    // sets up the new content like the ready handlers of a full page load: the collapsible
+    // sections, the code folds and the outline, then the features listed in contentInits.
+    // Features using handlers delegated from the document register there to reset their state.
+    const initContent = function() {
+      dynsection.init();
+      codefold.init(); // called by every page, it only adds folds to source listings
+      initPageToc();
+      initPowerTips();
+      clipboard_init();
+      contentInits.forEach((func) => func());
+    }
+
+    const navigate = function(url,push,scrollTop) {
+      const id = ++navigation;
+      if (push) { // to restore the position on going back
+        history.replaceState({ scrollTop: $('#doc-content').scrollTop() },'');
+      }
+      $('body').addClass('page-loading');
+      fetchPage(url.split('#')[0]).then(function(html) {
+        if (id!=navigation) return;
+        $('body').removeClass('page-loading');
+        if (!showPage(url,html,push,scrollTop)) location.href = url;
+      },function() {
+        location.href = url; // let the browser show the error
       });
+    }
+
+    $(document).on('click','a[href]',function(e) {
+      if (e.isDefaultPrevented() || e.button!=0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      if (!transitionsEnabled() || this.target || this.hasAttribute('download')) return;
+      if (this.origin!=location.origin || !/\.html$/.test(this.pathname)) return;
+      if (this.href.split('#')[0]==currentPage) return; // the hash changes only
+      e.preventDefault();
+      navigate(this.href,true);
+    });
+
+    window.addEventListener('popstate',function(e) {
+      if (location.href.split('#')[0]==currentPage) return; // the hash changed
+      navigate(location.href,false,e.state ? e.state.scrollTop : undefined);
+    });
+  }
+
+  // Loads the navtreeindex files while the browser is idle, so that later
+  // lookups need not wait, and prefetches the pages of the links the mouse
+  // rests on, so that following them is quick on a slow server.
+  function initPrefetch() {
+    const idle = window.requestIdleCallback || ((func) => setTimeout(func,200));
+    const preloadIndex = function(i) {
+      if (i<NAVTREEINDEX.length) idle(() => loadIndex(i,() => preloadIndex(i+1)));
+    }
+    preloadIndex(0);
+
+    const connection = navigator.connection;
+    if (location.protocol=='file:' || (connection && connection.saveData)) return;
+    const prefetched = new Set([location.href.split('#')[0]]);
+    let timer = null;
+    $(document).on('mouseover focusin','#nav-tree a[href], table.memberdecls a[href], table.directory a[href], '+
+                                       '#nav-path a[href], div.page-sequence a[href]',function() {
+      const url = this.href.split('#')[0];
+      if (prefetched.has(url) || this.origin!=location.origin || !/\.html$/.test(this.pathname)) return;
+      clearTimeout(timer);
+      timer = setTimeout(function() { // skip links the mouse only passes over
+        prefetched.add(url);
+        if (transitionsEnabled()) {
+          fetchPage(url).catch(() => prefetched.delete(url));
+        } else {
+          $('<link rel="prefetch" as="document">').attr('href',url).appendTo('head');
+        }
+      },100);
+    });
+    $(document).on('mouseout focusout','a[href]',() => clearTimeout(timer));
+  }
+
+  // Adds a menu button after each breadcrumb in the footer that has
+  // children in the tree, listing those children. For the parent of the
+  // current page this gives its siblings, for a sideways jump that does
+  // not need the side panel.
+  function initBreadcrumbs() {
+    let openMenu = null;
+
+    const closeMenu = function(focus) {
+      if (!openMenu) return;
+      openMenu.menu.remove();
+      openMenu.button.attr('aria-expanded','false').find('.arrowhead').addClass('closed').removeClass('opened');
+      if (focus) openMenu.button.focus();
+      openMenu = null;
+    }
+
+    const showMenu = function(li,button,entry,next) {
+      const menu = $('<ul class="navelem-menu" role="menu"></ul>');
+      menu.append('<li class="navelem-menu-status">Loading&#8230;</li>');
+      const rect = button[0].getBoundingClientRect();
+      menu.css({left: rect.left, bottom: $(window).height()-rect.top}); // fixed, as the footer clips
+      li.append(menu);
+      button.attr('aria-expanded','true').find('.arrowhead').addClass('opened').removeClass('closed');
+      openMenu = { menu: menu, button: button };
+      loadEntries(entry[2],function(children) {
+        menu.empty();
+        children.filter((child) => child[1]).forEach((child) => {
+          const link = child[1].charAt(0)=='^' ? child[1].substring(1) : relpath+child[1];
+          const a = $('<a role="menuitem" tabindex="-1">').attr('href',link).html(child[0]);
+          if (stripPath(child[1].split('#')[0])==next) a.addClass('current').attr('aria-current','true');
+          menu.append($('<li role="none">').append(a));
+        });
+        if (menu.children().length==0) {
+          menu.append('<li class="navelem-menu-status">No entries</li>');
+        }
+        (menu.find('a.current')[0] || menu.find('a')[0] || button[0]).focus();
+      });
+    }
+
+    const addMenus = function() {
+      closeMenu(false);
+      const items = $('#nav-path li.navelem');
+      items.each(function(index) {
+        const li = $(this);
+        const href = li.children('a').attr('href');
+        if (!href) return;
+        const page = stripPath(href);
+        const next = index+1<items.length ? stripPath(items.eq(index+1).children('a').attr('href') || '') : '';
+        findBreadcrumbs(page,function(breadcrumbs) {
+          if (!breadcrumbs) return;
+          findEntry([0].concat(breadcrumbs),function(entry) {
+            // the link check guards against index files of another run of doxygen
+            if (!entry || !entry[2] || stripPath((entry[1]||'').split('#')[0])!=page) return;
+            const button = $('<button type="button" class="navelem-button" aria-haspopup="menu" aria-expanded="false">'+
+                             '<span class="arrowhead closed"></span></button>');
+            button.attr('aria-label','Show the contents of '+li.children('a').text());
+            button.click(function(e) {
+              e.stopPropagation();
+              const open = openMenu && openMenu.button[0]==this;
+              closeMenu(false);
+              if (!open) showMenu(li,button,entry,next);
+            });
+            li.children('a').after(button);
+          });
+        });
+      });
+    }
+    contentInits.push(addMenus);
+    addMenus();
+
+    $('#nav-path').on('keydown','ul.navelem-menu',function(e) {
+      const links = $(this).find('a');
+      const index = links.index(document.activeElement);
+      if (e.key=='Escape') {
+        closeMenu(true);
+      } else if (e.key=='ArrowDown') {
+        links.eq(Math.min(index+1,links.length-1)).focus();
+      } else if (e.key=='ArrowUp') {
+        links.eq(Math.max(index-1,0)).focus();
+      } else if (e.key=='Home') {
+        links.first().focus();
+      } else if (e.key=='End') {
+        links.last().focus();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+    $(document).on('click',(e) => { if (!$(e.target).closest('ul.navelem-menu').length) closeMenu(false); });
+    $(document).on('focusin',(e) => { if (openMenu && !$(e.target).closest('#nav-path li.navelem').length) closeMenu(false); });
+  }
+
+  // click a line number in a source listing to select the line, shift-click to extend the selection;
+  // the URL then links to the selection, e.g. #l00040-l00075
+  function initLineSelection() {
+    let start;
+    contentInits.push(() => start = undefined); // a shift-click extends only selections of this page
+    $(document).on('click','div.fragment span.lineno',function(e) {
+      const line = $(this).parent('div.line');
+      const name = line.children('a[name^=l]').attr('name');
+      if (!name || $(e.target).closest('span.fold').length || line.closest('div.foldclosed').length) return;
+      // the numbers of definition lines link to the definition, which a plain
+      // click still follows unless the line is already selected
+      if ($(e.target).closest('a.line').length) {
+        if (!e.shiftKey && !line.hasClass('line-selected')) return;
+        e.preventDefault();
+      }
+      const number = parseInt(name.substring(1),10);
+      const selected = $('div.line.line-selected').children('a[name^=l]');
+      if (!e.shiftKey || selected.length==0) {
+        start = number;
+      } else if (start===undefined) { // selected through the URL
+        start = parseInt(selected.first().attr('name').substring(1),10);
+      }
+      selectLines(start,number);
+      const lines = $('div.line.line-selected').children('a[name^=l]');
+      const hash = '#'+lines.first().attr('name')+(lines.length>1 ? '-'+lines.last().attr('name') : '');
+      history.replaceState(history.state,'',location.href.split('#')[0]+hash);
+      if (window.getSelection && e.shiftKey) window.getSelection().removeAllRanges(); // undo the text selection
+    });
+  }
+
+  // Adds previous and next links to the bottom of the page, following the
+  // order of the tree. Members are skipped, so the sections of a page and
+  // the classes of a namespace are read one after the other.
+  function initPageSequence() {
+    const isMember = (link) => /#a[0-9a-f]{32}$/.test(link); // doxygen's member anchors
+    const readable = (entry) => entry && entry[1] && entry[1].charAt(0)!='^' && !isMember(entry[1]);
+    const entryOf = (pos) => pos.lists[pos.lists.length-1][pos.path[pos.path.length-1]];
+
+    // calls func with the position after pos in pre-order, or null at the end
+    const forward = function(pos,func) {
+      loadEntries(entryOf(pos)[2],function(children) {
+        if (children.length>0) {
+          func({ lists: pos.lists.concat([children]), path: pos.path.concat([0]) });
+          return;
+        }
+        const lists = pos.lists.slice(), path = pos.path.slice();
+        while (path.length>0 && path[path.length-1]+1>=lists[lists.length-1].length) {
+          lists.pop();
+          path.pop();
+        }
+        if (path.length==0) {
+          func(null);
+        } else {
+          path[path.length-1]++;
+          func({ lists: lists, path: path });
+        }
+      });
+    }
+
+    // calls func with the position before pos in pre-order, or null at the start
+    const backward = function(pos,func) {
+      const lists = pos.lists.slice(), path = pos.path.slice();
+      if (path[path.length-1]==0) {
+        lists.pop();
+        path.pop();
+        func(path.length>0 ? { lists: lists, path: path } : null);
+        return;
+      }
+      path[path.length-1]--;
+      const last = function(pos) { // the last descendant of pos
+        loadEntries(entryOf(pos)[2],function(children) {
+          if (children.length>0) {
+            last({ lists: pos.lists.concat([children]), path: pos.path.concat([children.length-1]) });
+          } else {
+            func(pos);
+          }
+        });
+      }
+      last({ lists: lists, path: path });
+    }
+
+    // calls func with the first readable entry from pos on in direction
+    // step, skipping those with the link of the current entry
+    const neighbour = function(pos,step,current,func) {
+      let steps = 0;
+      const next = function(pos) {
+        step(pos,function(pos) {
+          if (!pos || ++steps>2000) {
+            func(null);
+          } else if (readable(entryOf(pos)) && entryOf(pos)[1]!=current[1]) {
+            func(entryOf(pos));
+          } else {
+            next(pos);
+          }
+        });
+      }
+      next(pos);
+    }
+
+    const bar = $('<div class="page-sequence"></div>');
+    let prevLink = null, nextLink = null;
+    let generation = 0; // drops the links found for an earlier hash
+
+    const showLink = function(entry,rel) {
+      if (!entry) return null;
+      const a = $('<a>').attr({href: relpath+entry[1], rel: rel, title: (rel=='prev' ? 'Previous' : 'Next')+' ([ or ])'});
+      a.addClass(rel).append($('<span class="page-sequence-label">').html(entry[0]));
+      if (rel=='prev') bar.prepend(a); else bar.append(a);
+      return a;
+    }
+
+    const update = function() {
+      let hash = hashUrl();
+      if (hash=='#' || isMember(hash)) hash = '';
+      bar.empty();
+      prevLink = nextLink = null;
+      const gen = ++generation;
+      const find = function(url,fallback) {
+        findBreadcrumbs(url,function(breadcrumbs) {
+          if (!breadcrumbs && fallback) {
+            find(fallback);
+            return;
+          }
+          if (!breadcrumbs) return;
+          const path = [0].concat(breadcrumbs);
+          findLists(path,function(lists) {
+            // the link check guards against index files of another run of doxygen
+            if (!lists || stripPath(lists[lists.length-1][path[path.length-1]][1]||'')!=url) return;
+            const pos = { lists: lists, path: path };
+            const current = entryOf(pos);
+            neighbour(pos,backward,current,(entry) => { if (gen==generation) prevLink = showLink(entry,'prev'); });
+            neighbour(pos,forward,current,(entry) => { if (gen==generation) nextLink = showLink(entry,'next'); });
+          });
+        });
+      }
+      find(toroot+hash,hash ? toroot : null);
+    }
+
+    const addBar = function() {
+      $('#doc-content').append(bar);
+      update();
+    }
+    contentInits.push(addBar);
+    addBar();
+    $(window).on('hashchange',update);
+
+    $(document).on('keydown',function(e) {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName) || e.target.isContentEditable) return;
+      const link = e.key=='[' ? prevLink : e.key==']' ? nextLink : null;
+      if (link) {
+        e.preventDefault();
+        link[0].click();
+      }
     });
   }
 
+  function initFavourites() {
+    const group = $('<div id="nav-favourites">'+
+                      '<div class="nav-favourites-header">Favourites'+
+                        '<span class="nav-favourites-actions">'+
+                          '<a href="javascript:void(0)" id="nav-favourites-export" title="Save the favourites as a JSON file">export</a> '+
+                          '<a href="javascript:void(0)" id="nav-favourites-import" title="Add the favourites of a JSON file">import</a>'+
+                        '</span>'+
+                      '</div>'+
+                      '<ul id="nav-favourites-list"></ul>'+
+                      '<div id="nav-favourites-status" role="status"></div>'+
+                      '<input type="file" id="nav-favourites-file" accept=".json,application/json" hidden/>'+
+                    '</div>');
+    $('#nav-tree-contents').prepend(group);
+    const list = $('#nav-favourites-list');
+    const status = $('#nav-favourites-status');
+
+    // reordering by drag and drop
+    let dragged = null;
+    list.on('dragstart','li[draggable]',function(e) {
+      dragged = parseInt(this.dataset.index);
+      e.originalEvent.dataTransfer.effectAllowed = 'move';
+      e.originalEvent.dataTransfer.setData('text/plain',favourites[dragged].name);
+    });
+    list.on('dragover','li[draggable]',function(e) {
+      if (dragged===null) return;
+      e.preventDefault();
+      list.find('li').removeClass('drop-before drop-after');
+      const after = e.originalEvent.offsetY>this.offsetHeight/2;
+      $(this).addClass(after ? 'drop-after' : 'drop-before');
+    });
+    list.on('drop','li[draggable]',function(e) {
+      if (dragged===null) return;
+      e.preventDefault();
+      let to = parseInt(this.dataset.index) + ($(this).hasClass('drop-after') ? 1 : 0);
+      if (to>dragged) to--;
+      moveFavourite(dragged,to);
+    });
+    list.on('dragend',function() {
+      dragged = null;
+      list.find('li').removeClass('drop-before drop-after');
+    });
+
+    $('#nav-favourites-export').click(function() {
+      const json = JSON.stringify(favourites,null,2);
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(new Blob([json],{type:'application/json'}));
+      a.download = 'favourites.json';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href),0);
+    });
+
+    $('#nav-favourites-import').click(() => $('#nav-favourites-file').click());
+    $('#nav-favourites-file').change(function() {
+      const file = this.files[0];
+      this.value = '';
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = function() {
+        let imported;
+        try {
+          imported = JSON.parse(reader.result);
+        } catch (e) {
+          imported = null;
+        }
+        if (!Array.isArray(imported)) {
+          status.text(file.name+' is not a favourites file');
+          return;
+        }
+        const added = checkFavourites(imported).filter((fav) => !isFavourite(fav.ref));
+        const count = favourites.length;
+        favourites = favourites.concat(added);
+        storeFavourites(); // drops those above MAX_FAVOURITES
+        const kept = favourites.length-count;
+        status.text('Imported '+kept+' favourite'+(kept==1 ? '' : 's')+
+                    (kept<added.length ? ', '+(added.length-kept)+' more do not fit' : ''));
+      };
+      reader.readAsText(file);
+    });
+
+    // stars next to the member titles of the page
+    const addStars = function() {
+      const scope = $('div.headertitle .title').first().text().trim()
+                      .match(/^(.*?)\s+(Class|Interface|Struct|Union|Enum|Namespace)( Template)? Reference$/);
+      const title = scope ? scope[1].split(/\.|::/).pop() : '';
+      $('h2.memtitle').each(function() {
+        const permalink = $(this).find('.permalink a').attr('href');
+        if (!permalink || permalink.charAt(0)!='#') return;
+        const member = $(this).clone().find('.permalink').remove().end().text().trim().replace(/\(\)$/,'');
+        this.appendChild(createStar('a',(title ? title+'.' : '')+member,toroot+permalink));
+      });
+      $('h2.memtitle a.nav-fav-star').attr('href','javascript:void(0)');
+    }
+    contentInits.push(addStars);
+    addStars();
+    showFavourites();
+  }
+
+  function initNavFilter() {
+    const filterDiv = $('<div id="nav-tree-filter">'+
+                          '<input type="search" id="nav-tree-filter-input" placeholder="Filter" '+
+                                 'autocomplete="off" spellcheck="false" aria-label="Filter the navigation tree"/>'+
+                          '<div id="nav-tree-filter-status"></div>'+
+                        '</div>');
+    $('#nav-tree-contents').before(filterDiv);
+    const input  = $('#nav-tree-filter-input');
+    const status = $('#nav-tree-filter-status');
+    let treeLoaded = false;
+    let filtering = false; // true while the tree shows the results of a filter
+
+    // highlights the terms in the label of node, returns false if one is missing
+    const markLabel = function(node,terms) {
+      const a = node.labelSpan.firstChild;
+      if (node.labelHtml===undefined) node.labelHtml = a.innerHTML;
+      a.innerHTML = node.labelHtml;
+      const text = a.textContent;
+      const lower = text.toLowerCase();
+      const marked = new Array(text.length).fill(false);
+      for (const term of terms) {
+        let pos = lower.indexOf(term);
+        if (pos==-1) return false;
+        for (; pos!=-1; pos=lower.indexOf(term,pos+term.length)) {
+          marked.fill(true,pos,pos+term.length);
+        }
+      }
+      const span = document.createElement('span');
+      for (let i=0; i<text.length;) {
+        let j = i;
+        while (j<text.length && marked[j]==marked[i]) j++;
+        if (marked[i]) {
+          const match = document.createElement('span');
+          match.className = 'nav-filter-match';
+          match.textContent = text.substring(i,j);
+          span.appendChild(match);
+        } else {
+          span.appendChild(document.createTextNode(text.substring(i,j)));
+        }
+        i = j;
+      }
+      a.innerHTML = '';
+      a.appendChild(span);
+      return true;
+    }
+
+    const restoreLabel = function(node) {
+      if (node.labelHtml!==undefined) node.labelSpan.firstChild.innerHTML = node.labelHtml;
+    }
+
+    // shows the children of node matching terms and those with matching
+    // descendants, the latter expanded. Returns true if any is shown.
+    const filterNode = function(node,terms) {
+      let found = false;
+      node.children.forEach((child) => {
+        const match = markLabel(child,terms);
+        const below = filterNode(child,terms);
+        if (!match) restoreLabel(child);
+        if (match && !below) { // keep the whole branch of a match to browse it
+          forEachNode(child,(n) => { n.li.style.display = ''; restoreLabel(n); });
+        }
+        child.li.style.display = match || below ? '' : 'none';
+        setExpanded(child,below);
+        found = found || match || below;
+      });
+      return found;
+    }
+
+    const applyFilter = function() {
+      const terms = input.val().toLowerCase().split(/\s+/).filter((term) => term!='');
+      if (terms.length==0) {
+        status.text('');
+        if (filtering) { // restore the tree as it was before filtering
+          filtering = false;
+          forEachNode(o.node,(node) => {
+            node.li.style.display = '';
+            restoreLabel(node);
+            setExpanded(node,!!node.expandedBeforeFilter);
+          });
+          showRoot();
+        }
+      } else if (!treeLoaded) {
+        status.text('Loading...');
+        loadTree(o.node,function() {
+          treeLoaded = true;
+          applyFilter();
+        },function() { // tried again on the next change
+          status.text('The navigation tree could not be loaded');
+        });
+      } else {
+        if (!filtering) {
+          filtering = true;
+          forEachNode(o.node,(node) => node.expandedBeforeFilter = node.expanded);
+        }
+        const found = filterNode(o.node,terms);
+        status.text(found ? '' : 'No matches');
+      }
+      adjustSyncIconPosition();
+    }
+
+    input.on('input',applyFilter);
+    input.on('keydown',function(e) {
+      if (e.key=='Escape') {
+        input.val('');
+        applyFilter();
+      } else if (e.key=='Enter') { // open the first match
+        const first = $('#nav-tree-contents .nav-filter-match:first').closest('a');
+        if (first.length) first[0].click();
+      }
+    });
+  }
+
+  // Adds the expand to level and collapse all links above the tree.
+  function initTreeLevels() {
+    const levels = $('<div id="nav-tree-levels" class="levels">expand to level </div>');
+    [1,2,3,4].forEach((depth) => {
+      levels.append($('<a href="javascript:void(0)" title="Expand the tree to level '+depth+'">'+depth+'</a>')
+                    .click(() => expandToDepth(depth)));
+    });
+    levels.append(' ',$('<a href="javascript:void(0)">collapse all</a>').click(() => expandToDepth(0)));
+    $('#nav-tree-contents').before(levels);
+  }
+
+  let tocObservers = []; // track the headings of the current page for the outline
 
   function initPageToc() {
+    const COLLAPSED_COOKIE_NAME = ''+'outline_collapsed';
+    const KIND_COOKIE_NAME = ''+'outline_kind';
+    const PINNED_COOKIE_NAME = ''+'outline_pinned';
+    const MAX_COLLAPSED_GROUPS = 30;
     const topMapping = [];
     const toc_contents = $('#page-nav-contents');
     const content=$('<ul>').addClass('page-outline');
+    const page = stripPath(pathName());
+    let pinned = Cookie.readSetting(PINNED_COOKIE_NAME,'')=='on';
+
+    // collapsed groups are remembered as page#id, the most recently collapsed last
+    const collapsedGroups = function() {
+      return Cookie.readSetting(COLLAPSED_COOKIE_NAME,'').split(',').filter((key) => key);
+    }
+
+    // adds the arrow that collapses the nested list of li to span
+    const addToggle = function(li,span) {
+      const id = li.attr('id').substring(4);
+      const key = id!='undefined' ? page+'#'+id : '';
+      const toggle = $('<a>').attr({ href:'javascript:void(0)', 'aria-expanded':'true', title:'Collapse' }).
+                     addClass('outline-toggle').append($('<span>').addClass('arrowhead opened'));
+      const setCollapsed = function(collapsed) {
+        li.toggleClass('collapsed',collapsed);
+        toggle.attr({ 'aria-expanded':String(!collapsed), title:collapsed ? 'Expand' : 'Collapse' });
+        toggle.children('.arrowhead').toggleClass('opened',!collapsed).toggleClass('closed',collapsed);
+      }
+      toggle.click(function() {
+        const collapsed = !li.hasClass('collapsed');
+        setCollapsed(collapsed);
+        if (key) {
+          const keys = collapsedGroups().filter((k) => k!=key);
+          if (collapsed) keys.push(key);
+          if (keys.length) {
+            Cookie.writeSetting(COLLAPSED_COOKIE_NAME,keys.slice(-MAX_COLLAPSED_GROUPS).join(','));
+          } else {
+            Cookie.eraseSetting(COLLAPSED_COOKIE_NAME);
+          }
+        }
+        navtree_trampoline.updateContentTop();
+        return false;
+      });
+      span.append(toggle);
+      if (key && collapsedGroups().includes(key)) setCollapsed(true);
+    }
+
+    // the member kind listed by a group, derived from the anchor of its header
+    const groupKind = function(id) {
+      if (/methods|constructors|func/.test(id)) return 'methods';
+      if (/propert/.test(id)) return 'properties';
+      if (/event/.test(id)) return 'events';
+      if (/attribs|variable/.test(id)) return 'fields';
+      return '';
+    }
+    const kindLabels = { methods:'Methods', properties:'Properties', events:'Events', fields:'Fields' };
 
     var entityMap = {
       '&': '&amp;',
@@ -717,11 +1883,11 @@ function initNavTree(toroot,relpath,allMembersFile) {
       function hasSubItems() {
         return item.memTitles.length>0 || rows.toArray().some(function(el) { return $(el).is(':visible'); });
       }
-      const li = $('<li>').attr('id','nav-'+id);
+      const li = $('<li>').attr({ id:'nav-'+id, 'data-kind':groupKind(id) });
       const div = $('<div>').addClass('item');
       const span = $('<span>').addClass('arrow').css({ paddingLeft:'0' });
       if (hasSubItems()) {
-        span.append($('<span>').addClass('arrowhead opened'));
+        addToggle(li,span);
       }
       const ahref = $('<a>').attr('href','#'+id).append(title);
       content.append(li.append(div.append(span).append(ahref)));
@@ -729,6 +1895,9 @@ function initNavTree(toroot,relpath,allMembersFile) {
       const ulStack = [];
       ulStack.push(content);
       if (hasSubItems()) {
+        const ul = $('<ul>');
+        li.append(ul);
+        ulStack.push(ul);
         let last_id = undefined;
         let inMemberGroup = false;
         // declaration sections have rows for items
@@ -749,12 +1918,12 @@ function initNavTree(toroot,relpath,allMembersFile) {
             }
             const li2 = $('<li>').attr('id','nav-'+id);
             const div2 = $('<div>').addClass('item');
-            const span2 = $('<span>').addClass('arrow').css({ paddingLeft:parseInt(ulStack.length*16)+'px' });
+            const span2 = $('<span>').addClass('arrow').css({ paddingLeft:parseInt((ulStack.length-1)*16)+'px' });
             const ahref = $('<a>').attr('href','#'+id).append(escapeHtml(text));
             li2.append(div2.append(span2).append(ahref));
             topMapping.push(id);
             if (isMemberGroupHeader) {
-              span2.append($('<span>').addClass('arrowhead opened'));
+              addToggle(li2,span2);
               ulStack[ulStack.length-1].append(li2);
               const ul2 = $('<ul>');
               ulStack.push(ul2);
@@ -774,7 +1943,7 @@ function initNavTree(toroot,relpath,allMembersFile) {
           if (id!==undefined && name!==undefined) {
             const li2 = $('<li>').attr('id','nav-'+id.substring(1));
             const div2 = $('<div>').addClass('item');
-            const span2 = $('<span>').addClass('arrow').css({paddingLeft:parseInt(ulStack.length*16)+'px'});
+            const span2 = $('<span>').addClass('arrow').css({paddingLeft:parseInt((ulStack.length-1)*16)+'px'});
             const ahref = $('<a>').attr('href',id).append(escapeHtml(name));
             ulStack[ulStack.length-1].append(li2.append(div2.append(span2).append(ahref)));
             topMapping.push(id.substring(1));
@@ -810,22 +1979,62 @@ function initNavTree(toroot,relpath,allMembersFile) {
         sectionStack.push({ ...node, level });
       });
       if (sectionTree.length>0) {
-        function render(nodes, level=0) {
+        function render(nodes, ul, level=0) {
           nodes.map(n => {
             const li = $('<li>').attr('id','nav-'+n.id);
             const div = $('<div>').addClass('item');
             const span = $('<span>').addClass('arrow').attr('style','padding-left:'+parseInt(level*16)+'px;');
-            if (n.children.length > 0) { span.append($('<span>').addClass('arrowhead opened')); }
             const url = $('<a>').attr('href','#'+n.id);
-            content.append(li.append(div.append(span).append(url.append(n.text))));
+            ul.append(li.append(div.append(span).append(url.append(n.text))));
             topMapping.push(n.id);
-            render(n.children,level+1);
+            if (n.children.length > 0) {
+              addToggle(li,span);
+              const ul2 = $('<ul>');
+              li.append(ul2);
+              render(n.children,ul2,level+1);
+            }
           });
         }
-        render(sectionTree);
+        render(sectionTree,content);
       }
     }
 
+    // filter by member kind and the pin, shown above the outline
+    const tools = $('<div>').addClass('page-outline-tools');
+    const kinds = Object.keys(kindLabels).filter((kind) => content.children('li[data-kind='+kind+']').length>0);
+    if (kinds.length>1) {
+      const select = $('<select>').attr('aria-label','Members shown in the outline').
+                     append($('<option>').val('').text('All members'));
+      kinds.forEach((kind) => select.append($('<option>').val(kind).text(kindLabels[kind])));
+      const showKind = function(kind) {
+        content.children('li').each(function() {
+          const k = $(this).attr('data-kind');
+          $(this).toggleClass('filtered',kind!='' && k!==undefined && k!='' && k!=kind);
+        });
+      }
+      const kind = Cookie.readSetting(KIND_COOKIE_NAME,'');
+      if (kinds.includes(kind)) { // keep the setting for other pages when this one lacks the kind
+        select.val(kind);
+        showKind(kind);
+      }
+      select.change(function() {
+        const kind = select.val();
+        if (kind) Cookie.writeSetting(KIND_COOKIE_NAME,kind); else Cookie.eraseSetting(KIND_COOKIE_NAME);
+        showKind(kind);
+        navtree_trampoline.updateContentTop();
+      });
+      tools.append(select);
+    }
+    const pin = $('<input type="checkbox">').prop('checked',pinned);
+    pin.change(function() {
+      pinned = pin.prop('checked');
+      if (pinned) Cookie.writeSetting(PINNED_COOKIE_NAME,'on'); else Cookie.eraseSetting(PINNED_COOKIE_NAME);
+    });
+    tools.append($('<label>').attr('title','Keep the outline in place instead of scrolling it along with the page').
+                 append(pin).append(' Pin'));
+    if (content.children().length>0) {
+      toc_contents.append(tools);
+    }
     toc_contents.append(content);
 
     $(".page-outline a[href]:not(.noscroll)").click(function(e) {
@@ -838,64 +2047,112 @@ function initNavTree(toroot,relpath,allMembersFile) {
     let lastScrollTargetOffset = -1;
     let lastScrollTargetId = '';
 
-    navtree_trampoline.updateContentTop = function() {
-      const pagenavcontents = $("#page-nav-contents");
-      if (pagenavcontents.length) {
-        const content = $("#doc-content");
-        const height = content.height();
-        const navy = pagenavcontents.offset().top;
-        const yc = content.offset().top;
-        let offsets = []
-        for (let i=0;i<topMapping.length;i++) {
-          const heading = $('#'+topMapping[i]);
-          if (heading.parent().hasClass('doxsection')) {
-            offsets.push({id:topMapping[i],y:heading.parent().offset().top-yc});
-          } else {
-            offsets.push({id:topMapping[i],y:heading.offset().top-yc});
-          }
-        }
-        offsets.push({id:'',y:1e10});
-        let scrollTarget = undefined, numItems=0;
-        for (let i=0;i<topMapping.length;i++) {
-          const ys = offsets[i].y;
-          const ye = offsets[i+1].y;
-          const id = offsets[i].id;
-          const nav = $('#nav-'+id);
-          const margin = 10; // #pixels before content show as visible
-          if ((ys>margin || ye>margin) && (ys<height-margin || ye<height-margin)) {
-            if (!scrollTarget) scrollTarget=nav;
-            nav.addClass('vis'); // mark navigation entry as visible within content area
-            numItems+=1;
-          } else {
-            nav.removeClass('vis');
-          }
+    tocObservers.forEach((observer) => observer.disconnect()); // from the previous page after a transition
+    tocObservers = [];
+    $('#doc-content').off('scroll.pagetoc');
+    const pagenavcontents = $("#page-nav-contents");
+    if (pagenavcontents.length==0 || topMapping.length==0) {
+      navtree_trampoline.updateContentTop = function() {};
+      return;
+    }
+
+    const margin = 10; // #pixels before content show as visible
+    const navs = topMapping.map((id) => $('#nav-'+id));
+    const headings = topMapping.map(function(id) {
+      const heading = $('#'+id);
+      return (heading.parent().hasClass('doxsection') ? heading.parent() : heading)[0];
+    });
+    // where each heading is relative to the content area: -1 above, 0 inside, 1 below,
+    // undefined when it is hidden, e.g. in a collapsed section
+    const positions = [];
+    const positionOf = function(heading,top,rootTop,rootBottom) {
+      if (!heading.getClientRects().length) return undefined;
+      return top<=rootTop+margin ? -1 : top>=rootBottom-margin ? 1 : 0;
+    }
+
+    // marks the entries whose section shows in the content area and scrolls the outline along
+    const update = function() {
+      const content = $("#doc-content");
+      const height = content.height();
+      const navy = pagenavcontents.offset().top;
+      let scrollTarget = undefined, numItems=0;
+      for (let i=0;i<topMapping.length;i++) {
+        const nav = navs[i];
+        let next = i+1; // the section runs up to the next heading that is not hidden
+        while (next<topMapping.length && positions[next]===undefined) next++;
+        const pos = positions[i];
+        if (pos===0 || (pos===-1 && (next==topMapping.length || positions[next]!==-1))) {
+          const group = nav.parents('li.collapsed').last(); // the collapsed group hiding the entry
+          const shown = group.length ? group : nav;
+          if (!scrollTarget && !shown.closest('li.filtered').length) scrollTarget=shown;
+          nav.addClass('vis'); // mark navigation entry as visible within content area
+          shown.addClass('vis');
+          numItems+=1;
+        } else {
+          nav.removeClass('vis');
         }
-        const contentScrollOffset = $('div.contents').offset().top;
-        if (scrollTarget && lastScrollTargetId!=scrollTarget.attr('id')) { // new item to scroll to
-          const scrollDown = contentScrollOffset<lastScrollSourceOffset;
-          const range = 22*numItems;
-          const my = range/2-height/2;
-          const ulOffset = $('ul.page-outline').offset().top-navy;
-          const targetPos=scrollTarget.offset().top-navy-ulOffset;
-          const targetOffset=targetPos+my;
-          if ( (scrollDown && targetOffset>lastScrollTargetOffset) ||
-              (!scrollDown && targetOffset<lastScrollTargetOffset)) 
-          { // force panel to scroll in the same direction as content window
-            pagenavcontents.stop(); // avoid build-up of history
-            pagenavcontents.scrollTo({ left:0, top:targetOffset },{ duration: 500, interrupt: true });
-            lastScrollTargetOffset = targetOffset;
-          }
-          lastScrollTargetId = scrollTarget.attr('id');
+      }
+      const contentScrollOffset = $('div.contents').offset().top;
+      if (scrollTarget && !pinned && lastScrollTargetId!=scrollTarget.attr('id')) { // new item to scroll to
+        const scrollDown = contentScrollOffset<lastScrollSourceOffset;
+        const range = 22*numItems;
+        const my = range/2-height/2;
+        const ulOffset = $('ul.page-outline').offset().top-navy;
+        const targetPos=scrollTarget.offset().top-navy-ulOffset;
+        const targetOffset=targetPos+my;
+        if ( (scrollDown && targetOffset>lastScrollTargetOffset) ||
+            (!scrollDown && targetOffset<lastScrollTargetOffset)) 
+        { // force panel to scroll in the same direction as content window
+          pagenavcontents.stop(); // avoid build-up of history
+          pagenavcontents.scrollTo({ left:0, top:targetOffset },{ duration: 500, interrupt: true });
+          lastScrollTargetOffset = targetOffset;
         }
-        lastScrollSourceOffset = contentScrollOffset;
+        lastScrollTargetId = scrollTarget.attr('id');
+      }
+      lastScrollSourceOffset = contentScrollOffset;
+    }
+    let updatePending = false;
+    const scheduleUpdate = function() {
+      if (!updatePending) {
+        updatePending = true;
+        requestAnimationFrame(() => { updatePending = false; update(); });
       }
     }
-    // TODO: find out how to avoid a timeout
-    setTimeout(() => {
-      navtree_trampoline.updateContentTop();
-    },200);
+
+    // measures all headings; only needed when the layout changes, not while scrolling
+    const measure = function() {
+      const rect = document.getElementById('doc-content').getBoundingClientRect();
+      headings.forEach(function(heading,i) {
+        positions[i] = heading ? positionOf(heading,heading.getBoundingClientRect().top,rect.top,rect.bottom) : undefined;
+      });
+      scheduleUpdate();
+    }
+    navtree_trampoline.updateContentTop = measure;
+
+    if ('IntersectionObserver' in window && 'ResizeObserver' in window) {
+      const indices = new Map(headings.map((heading,i) => [heading,i]));
+      // headings crossing the edges of the content area while scrolling
+      const intersections = new IntersectionObserver(function(entries) {
+        entries.forEach(function(entry) {
+          const i = indices.get(entry.target);
+          const root = entry.rootBounds;
+          positions[i] = entry.isIntersecting ? 0 :
+                         positionOf(entry.target,entry.boundingClientRect.top,root.top-margin,root.bottom+margin);
+        });
+        scheduleUpdate();
+      },{ root:document.getElementById('doc-content'), rootMargin:'-'+margin+'px 0px -'+margin+'px 0px' });
+      headings.forEach((heading) => { if (heading) intersections.observe(heading); });
+      // expanding sections or folding code can move headings past the content area without crossing it
+      const resizes = new ResizeObserver(measure);
+      resizes.observe(document.getElementById('doc-content'));
+      $('#doc-content div.contents').each(function() { resizes.observe(this); });
+      tocObservers.push(intersections,resizes);
+    } else {
+      $('#doc-content').on('scroll.pagetoc',measure);
+      requestAnimationFrame(measure);
+    }
   }
-  $(document).ready(function() { initPageToc(); initResizable(); });
+  $(document).ready(function() { initPageToc(); initResizable(); initPrefetch(); initPageTransitions(); initBreadcrumbs(); initLineSelection(); initPageSequence(); initFavourites(); initNavFilter(); initTreeLevels(); initTreeKeyboard(); });
 
 }
 /* @license-end */
@@ -0,0 +1,371 @@
+var searchFullText=[
+  ["ActivitySource","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a0dd2f79ae2fbe7efd3ff6c4a373053f8","Toolbox::Core::Base::BaseDisposableService","properties","Gets the System.Diagnostics.ActivitySource for distributed tracing. The activity source used to create spans for this service.",""],
+  ["ActivitySource","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_instrumented_service.html#a44e9295e7ed5f4fac7beaad46a3599e3","Toolbox::Core::Abstractions::IInstrumentedService","properties","Gets the System.Diagnostics.ActivitySource for distributed tracing.","The activity source used to create spans for this service. Activities created from this source will be included in traces when OpenTelemetry tracing is configured."],
+  ["AddAuthenticationAsync","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#acd8074527e37b8a4303a03b145373a39","Toolbox::Core::Services::Api::HttpApiService","functions","Adds authentication to the HTTP request.","request The HTTP request. cancellationToken Cancellation token."],
+  ["Aes128","../namespace_toolbox_1_1_core_1_1_options.html#a6d6346e53e425a00b206f68d826e3beaa55fe7f2e654e04ef5115bbf10aa33c94","Toolbox::Core::Options::AesKeySize","enumvalues","128-bit key (16 bytes).","Provides good security and is the fastest option."],
+  ["Aes192","../namespace_toolbox_1_1_core_1_1_options.html#a6d6346e53e425a00b206f68d826e3beaa8a1fc6599151509347ecf9e6886c9495","Toolbox::Core::Options::AesKeySize","enumvalues","192-bit key (24 bytes).","Provides stronger security than 128-bit."],
+  ["Aes256","../namespace_toolbox_1_1_core_1_1_options.html#a6d6346e53e425a00b206f68d826e3beaaa05da21a0b7ce6170eb0e952257d5b14","Toolbox::Core::Options::AesKeySize","enumvalues","256-bit key (32 bytes).","Provides the strongest security. Recommended for highly sensitive data."],
+  ["AesCryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html","Toolbox::Core::Services::Cryptography","classes","Cryptography service implementation using AES symmetric encryption.","This service provides secure text encryption and decryption using the AES algorithm. It uses CBC mode with PKCS7 padding. The encrypted output is Base64-encoded for safe text transmission. ICryptographyService"],
+  ["AesCryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#aadc55a35328a94992637b4dbb298416f","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Initializes a new instance of the AesCryptographyService class.","key The AES encryption key (16, 24, or 32 bytes for AES-128, AES-192, or AES-256). iv The initialization vector (must be 16 bytes). logger The logger instance. ArgumentNullException Thrown when key , iv , or logger is null. ArgumentException Thrown when key or IV size is invalid."],
+  ["AesCryptographyServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_cryptography_1_1_aes_cryptography_service_tests.html","Toolbox::Tests::Unit::Services::Cryptography","classes","Unit tests for AesCryptographyService.",""],
+  ["AesKeySize","../namespace_toolbox_1_1_core_1_1_options.html#a6d6346e53e425a00b206f68d826e3bea","Toolbox::Core::Options","enums","Specifies the AES key size in bits.","Larger key sizes provide stronger encryption but may have slightly higher performance overhead. AES-256 is recommended for most security-sensitive applications."],
+  ["Anonymous","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249a7079c72c21415131774625ba1d64f4b0","Toolbox::Core::Options::ApiAuthenticationMode","enumvalues","No authentication required.",""],
+  ["ApiAuthenticationMode","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249","Toolbox::Core::Options","enums","Specifies the authentication mode for API requests.","Choose the appropriate authentication mode based on the API requirements. Each mode requires specific configuration in ApiOptions."],
+  ["ApiKey","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#aab45300e4a1a09f2fd4d830a25999006","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the API key value.","The API key. Used when AuthenticationMode is ApiAuthenticationMode.ApiKey."],
+  ["ApiKey","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249a806737984ab19be2fd08ba36030549ac","Toolbox::Core::Options::ApiAuthenticationMode","enumvalues","API key authentication. Can be sent as a header or query parameter.",""],
+  ["ApiKeyLocation","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a494b64c3abe07a88097daa454855e6f4","Toolbox::Core::Options::ApiOptions","properties","Gets or sets where to send the API key.","The location. Default is ApiKeyLocation.Header."],
+  ["ApiKeyLocation","../namespace_toolbox_1_1_core_1_1_options.html#a5fee6f0e4a878865f082011a3248da30","Toolbox::Core::Options","enums","Specifies where to send the API key.",""],
+  ["ApiKeyName","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a07786e9a5413d5a9c9556c2c45e06c90","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the API key header or parameter name.","The name (e.g., \"X-API-Key\" or \"api_key\"). Default is \"X-API-Key\"."],
+  ["ApiOptions","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html","Toolbox::Core::Options","classes","Configuration options for the HTTP API service.","These options configure HTTP client behavior and authentication. The authentication mode determines which credential properties are used."],
+  ["ApiRequest","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html","Toolbox::Core::Options","classes","Represents an HTTP API request.","This class encapsulates all the data needed to make an HTTP request, including URL, method, headers, and body content."],
+  ["ApiRequest","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#ab58a94b0c5dfaa5cc9af263283273735","Toolbox::Core::Options::ApiRequest","functions","Initializes a new instance of the ApiRequest class.","method The HTTP method. url The URL or path. ArgumentNullException Thrown when parameters are null."],
+  ["ApiRequestTests","../class_toolbox_1_1_tests_1_1_unit_1_1_options_1_1_api_request_tests.html","Toolbox::Tests::Unit::Options","classes","Unit tests for ApiRequest and related classes.",""],
+  ["ApiResponse","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html","Toolbox::Core::Options","classes","Represents an HTTP API response.","This class encapsulates all data from an HTTP response, including status code, headers, and body content."],
+  ["ApiResponseTests","../class_toolbox_1_1_tests_1_1_unit_1_1_options_1_1_api_response_tests.html","Toolbox::Tests::Unit::Options","classes","Unit tests for ApiResponse.",""],
+  ["ApiServiceCollectionExtensionsTests","../class_toolbox_1_1_tests_1_1_unit_1_1_extensions_1_1_api_service_collection_extensions_tests.html","Toolbox::Tests::Unit::Extensions","classes","Unit tests for ApiServiceCollectionExtensions.",""],
+  ["AsyncDisposalTimeout","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_options.html#a521a18cbf4960b456ee8213ab837d65e","Toolbox::Core::Options::ToolboxOptions","properties","Gets or sets the default timeout for async disposal operations.","The timeout duration. Defaults to 30 seconds."],
+  ["Attachments","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a7ec40f4c0801e9d635c33cdcd29cbf03","Toolbox::Core::Options::EmailMessage","properties","Gets the list of attachments.","The list of file attachments."],
+  ["AuthenticateAsync","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#af84d6859d93149ac6de2507233cf5e17","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Authenticates with the SMTP server.","cancellationToken Cancellation token."],
+  ["AuthenticationMode","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a4f8948ba94f1beeaabbad315f4f181ef","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the authentication mode.","The authentication mode. Default is ApiAuthenticationMode.Anonymous."],
+  ["Auto","../namespace_toolbox_1_1_core_1_1_options.html#a0a1f76d9ade3c05f751b22ef05061453a06b9281e396db002010bde1de57262eb","Toolbox::Core::Options::SmtpSecurityMode","enumvalues","Automatically determine the best security mode. Will attempt STARTTLS if available, otherwise use implicit SSL/TLS.",""],
+  ["AutoCreateDirectory","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#aa62a9edcfa5074516330e0b81b3bec64","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets a value indicating whether to automatically create remote directories.","true to auto-create directories; otherwise, false. Default is true."],
+  ["Base64CryptographyOptions","../class_toolbox_1_1_core_1_1_options_1_1_base64_cryptography_options.html","Toolbox::Core::Options","classes","Configuration options for the Base64 cryptography service.","These options control the encoding behavior of the Base64 service."],
+  ["Base64CryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html","Toolbox::Core::Services::Cryptography","classes","Cryptography service implementation using Base64 encoding.","This service provides text encryption and decryption using Base64 encoding. It supports both standard and URL-safe encoding tables. Note: Base64 is an encoding scheme, not encryption. It provides obfuscation but not security. For secure encryption, use a proper encryption algorithm. ICryptographyService, Base64CryptographyOptions"],
+  ["Base64CryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#ae78dcf4067c1104dd2b5cfb1c136ae46","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Initializes a new instance of the Base64CryptographyService class.","encodingTable The Base64 encoding table to use. logger The logger instance."],
+  ["Base64CryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#af163e7b25a167285f1e5575043e2882e","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Initializes a new instance of the Base64CryptographyService class with full options.","options The configuration options. logger The logger instance. ArgumentNullException Thrown when options is null."],
+  ["Base64CryptographyServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_cryptography_1_1_base64_cryptography_service_tests.html","Toolbox::Tests::Unit::Services::Cryptography","classes","Unit tests for Base64CryptographyService.",""],
+  ["Base64EncodingTable","../namespace_toolbox_1_1_core_1_1_options.html#aae4ac17f23177c2ad802591f98604287","Toolbox::Core::Options","enums","Specifies the Base64 encoding table to use.","Different encoding tables are suitable for different use cases. The URL-safe variant is recommended for use in URLs and filenames."],
+  ["BaseAsyncDisposableService","../class_toolbox_1_1_core_1_1_base_1_1_base_async_disposable_service.html","Toolbox::Core::Base","classes","Abstract base class providing asynchronous disposal with cancellation support and integrated telemetry.","This class extends BaseDisposableService to implement IAsyncDisposableService, enabling graceful async cleanup with timeout support through cancellation tokens. Derived classes should override DisposeAsyncCore(CancellationToken) to release their async resources. IAsyncDisposableService, BaseDisposableService"],
+  ["BaseAsyncDisposableService","../class_toolbox_1_1_core_1_1_base_1_1_base_async_disposable_service.html#a76d3918a8e1cbb2d9df627886b0650ea","Toolbox::Core::Base::BaseAsyncDisposableService","functions","Initializes a new instance of the BaseAsyncDisposableService class.","serviceName The name identifying this service instance. logger The logger for diagnostic output. ArgumentNullException Thrown when serviceName or logger is null."],
+  ["BaseAsyncDisposableServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_base_async_disposable_service_tests.html","Toolbox::Tests::Unit","classes","Unit tests for BaseAsyncDisposableService.",""],
+  ["BaseDisposableService","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html","Toolbox::Core::Base","classes","Abstract base class providing a thread-safe implementation of the dispose pattern with integrated telemetry support.","This class implements IDisposableService and IInstrumentedService, providing a consistent foundation for building disposable services. Derived classes should override Dispose(bool) to release their resources. The base implementation handles thread-safety and telemetry automatically. IDisposableService, IInstrumentedService"],
+  ["BaseDisposableService","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a70d80274845dd844928e00c3ab630ec0","Toolbox::Core::Base::BaseDisposableService","functions","Initializes a new instance of the BaseDisposableService class.","serviceName The name identifying this service instance. logger The logger for diagnostic output. ArgumentNullException Thrown when serviceName or logger is null."],
+  ["BaseDisposableServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_base_disposable_service_tests.html","Toolbox::Tests::Unit","classes","Unit tests for BaseDisposableService.",""],
+  ["BaseUrl","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#ab7fbf158825dcfdab7fdb56edd8eb652","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the base URL for API requests.","The base URL (e.g., \"https://api.example.com\")."],
+  ["Basic","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249a972e73b7a882d0802a4e3a16946a2f94","Toolbox::Core::Options::ApiAuthenticationMode","enumvalues","Basic authentication with username and password. Uses the Authorization header with Base64-encoded credentials.",""],
+  ["Bcc","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a1fde3f15e549c1ce10418ea24a8ee79b","Toolbox::Core::Options::EmailMessage","properties","Gets the list of blind carbon copy recipients.","The list of \"BCC\" recipients."],
+  ["BearerToken","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#adaa7ce66c1939d638d19244193f26837","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the bearer token for authentication.","The bearer token (without \"Bearer\" prefix). Used when AuthenticationMode is ApiAuthenticationMode.BearerToken."],
+  ["BearerToken","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249a253785399f3b6ebad2e59af8f9d80b30","Toolbox::Core::Options::ApiAuthenticationMode","enumvalues","Bearer token authentication. Uses the Authorization header with \"Bearer {token}\" format.",""],
+  ["Body","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a6b20dee2b29798ce6af9e75c52420ce4","Toolbox::Core::Options::ApiResponse","properties","Gets the response body as a string.","The body content, or null if no body."],
+  ["Body","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#acc148135731267f616b58707b0e4132d","Toolbox::Core::Options::EmailMessage","properties","Gets or sets the email body content.","The body content in HTML or plain text format."],
+  ["BodyBytes","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a6cff539e246f1dc20045e97104ec8c22","Toolbox::Core::Options::ApiResponse","properties","Gets the response body as bytes.","The body bytes, or null if no body."],
+  ["BufferSize","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a4ee3b55b533fd77b39dd73ca2159c77a","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the buffer size for file transfers.","The buffer size in bytes. Default is 32 KB."],
+  ["BuildApiResponseAsync","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a05ff7b086f09914e4a353d495bed20dc","Toolbox::Core::Services::Api::HttpApiService","functions","Builds an ApiResponse from an HttpResponseMessage.","response The HTTP response. duration The request duration. cancellationToken Cancellation token. The API response."],
+  ["BuildHttpRequestAsync","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#ac2f23b9e21279a214e03c1f3347f32db","Toolbox::Core::Services::Api::HttpApiService","functions","Builds an HttpRequestMessage from an ApiRequest.","request The API request. cancellationToken Cancellation token. The HTTP request message."],
+  ["BuildMessageBody","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#a36310f59e7040c01fcdbdb2c86f5e15d","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Builds the message body with proper MIME structure.","message The email message. The message body as a MimeEntity."],
+  ["BuildMimeMessage","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#a5bea40596b835d2319f39d32b647b4c6","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Builds a MimeMessage from an EmailMessage.","message The email message. The constructed MimeMessage."],
+  ["BuildUrl","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a2276786ed9a920a6a9d54f9b4a72796e","Toolbox::Core::Options::ApiRequest","functions","Builds the full URL with query parameters.","The URL with query string."],
+  ["Cc","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a30f5834090bbf7c36de92bd0de29f290","Toolbox::Core::Options::EmailMessage","properties","Gets the list of carbon copy recipients.","The list of \"CC\" recipients."],
+  ["Certificate","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#ad50951d095162719319f04e7a569b108","Toolbox::Core::Options::RsaKeyPair","properties","Gets the X.509 certificate containing the public key.","The certificate, or null if not available in this format."],
+  ["Certificate","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249aeb0f48a107df1a0f343d4cd513b555e6","Toolbox::Core::Options::ApiAuthenticationMode","enumvalues","Client certificate authentication. Uses X.509 certificate for mutual TLS (mTLS).",""],
+  ["CertificatePassword","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a1fbbdeb293875a6794fd8d14f6f8f491","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the certificate password.","The password for the certificate file."],
+  ["CertificatePath","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a091dc62a1f1c8c73993c8e023e385b40","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the path to a PFX/PKCS#12 certificate file.","The file path."],
+  ["ClientCertificate","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a52c2418d08cd8e2abd3ac18007f0b062","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the client certificate for authentication.","The X.509 certificate. Used when AuthenticationMode is ApiAuthenticationMode.Certificate."],
+  ["ConfigureClient","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a78b3b849a10356f36bbcec0f9579b33b","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Configures the FTP client with the specified options.",""],
+  ["ConfigureHttpClient","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a517169d8829abcaac11580da1ce08bab","Toolbox::Core::Services::Api::HttpApiService","functions","Configures the HttpClient with base settings.","client The HttpClient to configure."],
+  ["ConnectionTimeout","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#aa0fb481aaa49ac52598cf12d8703dae0","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the connection timeout.","The timeout duration. Default is 30 seconds."],
+  ["ConnectionTimeout","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#aa8936448acd23f7147be166d3b529514","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the connection timeout.","The connection timeout. Default is 30 seconds."],
+  ["Content","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a2b00fca70433944fb157a10bca840cc6","Toolbox::Core::Options::ApiRequest","properties","Gets or sets the request body content.","The body content, or null for no body."],
+  ["Content","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#ac6f99591d53cb530223e3dbb884c37ba","Toolbox::Core::Options::EmailAttachment","properties","Gets the attachment content as a byte array.","The raw content bytes, or null if using a file path."],
+  ["ContentId","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a80b0a2f8893ae4c3cb7e9c21e98e0863","Toolbox::Core::Options::EmailAttachment","properties","Gets the Content-ID for inline attachments.","The Content-ID for referencing in HTML, or null."],
+  ["ContentLength","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a60a3edcd4c95e4eacc10b147968978e4","Toolbox::Core::Options::ApiResponse","properties","Gets the content length.","The content length in bytes, or null if not set."],
+  ["ContentType","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a32b240cd491afbd67b4544f4ddbc4a8d","Toolbox::Core::Options::ApiResponse","properties","Gets the content type header value.","The content type, or null if not set."],
+  ["ContentType","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#ae714a842f714c3f159cb91cf9b000369","Toolbox::Core::Options::EmailAttachment","properties","Gets the MIME content type of the attachment.","The content type (e.g., \"application/pdf\")."],
+  ["CreateConnectionInfo","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#ab2a23455564d76fb25a6155931c6fc6c","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Creates the SSH connection info based on the configured options.","The connection info."],
+  ["CreateDirectoryRecursive","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#aaec4c66485393d3f9a62ed2279b5ef11","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Creates a directory recursively on the remote server.","path The directory path to create."],
+  ["CreateHttpClient","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a039e73594dd884c1d3560983a9b98f69","Toolbox::Core::Services::Api::HttpApiService","functions","Creates and configures the HttpClient.","The configured HttpClient."],
+  ["CreateInline","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a62b587e360cc79b519da2568a8b0f6f5","Toolbox::Core::Options::EmailAttachment","functions","Creates an inline attachment for embedding in HTML.","content The attachment content. fileName The filename. contentId The Content-ID for referencing in HTML (without angle brackets). contentType The content type, or null to auto-detect. An inline EmailAttachment. ArgumentNullException Thrown when required parameters are null."],
+  ["CreateMimePart","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#abb54d5e6759e0f53c40e41558515694f","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Creates a MimePart from an EmailAttachment.","attachment The email attachment. The MimePart."],
+  ["DecodeFromBase64","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#acdc9326f6b5262e5edcbd83fac2dea57","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Decodes Base64 string to bytes using the configured encoding table.","base64 The Base64 string to decode. The decoded bytes. FormatException Thrown when the input is not valid Base64."],
+  ["Decrypt","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#a3f723805255f3988a36130df6990b91f","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Decrypts the specified encrypted text. encryptedText The text to decrypt. The decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid.",""],
+  ["Decrypt","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#adc6af0a05226f77128990a579635ed43","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Decrypts the specified encrypted text. encryptedText The text to decrypt. The decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid.",""],
+  ["Decrypt","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a49a9ab566b0355bb6991a839cb27801c","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","","Decrypts the specified encrypted text. encryptedText The text to decrypt. The decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid. InvalidOperationException Thrown when private key is not available. FormatException Thrown when decryption fails due to invalid data."],
+  ["Decrypt","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_cryptography_service.html#a013a7019090a0e9fe9ce39604993d04f","Toolbox::Core::Abstractions::Services::ICryptographyService","functions","Decrypts the specified encrypted text.","encryptedText The text to decrypt. The decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid."],
+  ["DecryptAsync","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#ac0d76348e1fb0d832893e94ac14c19e0","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Asynchronously decrypts the specified encrypted text. encryptedText The text to decrypt. cancellationToken A token to cancel the operation. A task containing the decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid.",""],
+  ["DecryptAsync","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#a9ac221788e4ac3ca1fb3a0408f65f692","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Asynchronously decrypts the specified encrypted text. encryptedText The text to decrypt. cancellationToken A token to cancel the operation. A task containing the decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid.",""],
+  ["DecryptAsync","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a12dc875ff5bd879d7b5ccbe17413ec7e","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Asynchronously decrypts the specified encrypted text. encryptedText The text to decrypt. cancellationToken A token to cancel the operation. A task containing the decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid.",""],
+  ["DecryptAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_cryptography_service.html#a5b20b3deb70835815fd7dcd53ea4b36a","Toolbox::Core::Abstractions::Services::ICryptographyService","functions","Asynchronously decrypts the specified encrypted text.","encryptedText The text to decrypt. cancellationToken A token to cancel the operation. A task containing the decrypted plain text. ArgumentNullException Thrown when encryptedText is null. FormatException Thrown when the encrypted text format is invalid."],
+  ["DefaultFrom","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a8850d7ac80760e2bae3eb99a95e6559f","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the default sender address to use when not specified in the message.","The default sender email address, or null if not set."],
+  ["DefaultHeaders","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a330e944f0f05473cd9636241ad7a1d85","Toolbox::Core::Options::ApiOptions","properties","Gets the default headers to include in all requests.","Dictionary of header names and values."],
+  ["DefaultReplyTo","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a4b3119bb98f9a6c42971de5949475075","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the default reply-to address.","The default reply-to email address, or null if not set."],
+  ["Delete","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a6e1f77a9bb4eb5dd123961e26c2c300f","Toolbox::Core::Options::ApiRequest","functions","Creates a DELETE request.","url The URL or path. A new ApiRequest."],
+  ["Deserialize< T >","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#afdbd9b36f4c01a02208a13cb3a093d54","Toolbox::Core::Options::ApiResponse","functions","Deserializes the response body as JSON.","T The target type. options JSON serializer options. The deserialized object, or default if body is empty. JsonException Thrown when deserialization fails."],
+  ["Directives du Projet Toolbox","../md__c_1_2_users_2micde_2_rider_projects_2_toolbox_2_c_l_a_u_d_e.html","","pages","","Framework Version : .NET 10 Langage : C# 14.0 Architecture des Services Injection de Dépendances Chaque service et classe doit être injectable via le conteneur DI de .NET Utiliser les extensions IServiceCollection pour l'enregistrement Disposal Chaque service et classe doit implémenter IDisposable et/ou IAsyncDisposable Utiliser les classes de base BaseDisposableService ou BaseAsyncDisposableService Généricité Les services doivent être aussi génériques que possible Favoriser la réutilisabilité et l'extensibilité Éviter les implémentations trop spécifiques Organisation par Catégorie Pour chaque catégorie de service : une seule interface L'interface définit le contrat commun pour tous les services de la catégorie Catégories existantes Catégorie Interface Services Cryptography ICryptographyService Base64, AES, RSA FileTransfer IFileTransferService FTP, FTPS, SFTP Mailing IMailingService SMTP Api IApiService HTTP Client Ldap ILdapService ActiveDirectory, OpenLdap, AzureAd, AppleDirectory Documentation Doxygen Exigences Documentation complète pour chaque classe et service Obligatoire pour toutes les parties, y compris privées : Membres privés Variables privées Fonctions privées Constructeurs Destructeurs Propriétés Format Télémétrie OpenTelemetry Utilisé dans tout le projet Chaque opération doit avoir : Tracing : Activities pour le suivi distribué Métriques : Compteurs et histogrammes Métriques standards toolbox.operations.count : Nombre d'opérations toolbox.operations.duration : Durée des opérations (ms) toolbox.errors.count : Nombre d'erreurs Tests Tests Unitaires Chaque service doit avoir des tests unitaires Couverture des cas nominaux et des cas d'erreur Utiliser des mocks pour les dépendances externes Tests de Non-Régression Tests pour garantir la stabilité des fonctionnalités existantes Exécutés à chaque modification Framework xUnit pour les tests Moq ou NSubstitute pour les mocks Documentation du Projet Fichiers à maintenir Fichier Description README.md Présentation du projet, installation, quick start USAGE.md Guide d'utilisation détaillé de chaque service .gitignore Fichiers à ignorer pour Git (approprié .NET) CLAUDE.md Ce fichier - directives de développement Mise à jour Ces fichiers doivent être mis à jour à chaque création de service ou classe Le README doit refléter les fonctionnalités disponibles Le USAGE doit documenter l'utilisation de chaque nouveau service Structure du Projet Checklist pour Nouveau Service Vérifier si l'interface de la catégorie existe, sinon la créer Implémenter le service en héritant de BaseDisposableService ou BaseAsyncDisposableService Ajouter la documentation Doxygen complète (publique ET privée) Ajouter le tracing OpenTelemetry Ajouter les métriques OpenTelemetry Créer l'extension DI pour l'enregistrement Écrire les tests unitaires Écrire les tests de non-régression Mettre à jour README.md Mettre à jour USAGE.md Git et Commits Messages de Commit Les messages doivent être structurés en Markdown Contenir toutes les actions effectuées Rester un résumé concis"],
+  ["Dispose","../class_toolbox_1_1_core_1_1_base_1_1_base_async_disposable_service.html#a2186c55a24d954449b92b2f58d8c5b5f","Toolbox::Core::Base::BaseAsyncDisposableService","functions","","Releases the unmanaged resources used by this service and optionally releases managed resources. disposing true to release both managed and unmanaged resources; false to release only unmanaged resources. Override this method in derived classes to release resources. Always call the base implementation after releasing your resources. This override ensures that synchronous disposal also triggers async resource cleanup when the service hasn't been disposed asynchronously yet."],
+  ["Dispose","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a5bccf3c546513ac18851a08b1ad80d89","Toolbox::Core::Base::BaseDisposableService","functions","Releases all resources used by this service.","This method is thread-safe and can be called multiple times. Only the first call will release resources."],
+  ["Dispose","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#abe66f7a1e36466851f1a3df7ce2cc51c","Toolbox::Core::Base::BaseDisposableService","functions","Releases the unmanaged resources used by this service and optionally releases managed resources.","disposing true to release both managed and unmanaged resources; false to release only unmanaged resources. Override this method in derived classes to release resources. Always call the base implementation after releasing your resources. This method is thread-safe. The disposing parameter will only be true for the first caller when called concurrently."],
+  ["DisposeAsync","../class_toolbox_1_1_core_1_1_base_1_1_base_async_disposable_service.html#a5d073243b9ad1f5edb5a47cff9576317","Toolbox::Core::Base::BaseAsyncDisposableService","functions","Asynchronously releases resources with cancellation support. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous disposal operation. This method allows for graceful shutdown with timeout support. If the cancellation token is triggered, the implementation should attempt to release critical resources immediately.",""],
+  ["DisposeAsync","../class_toolbox_1_1_core_1_1_base_1_1_base_async_disposable_service.html#acadc42721759683aa816d5d250150bd9","Toolbox::Core::Base::BaseAsyncDisposableService","functions","","This implementation calls DisposeAsync(CancellationToken) with CancellationToken.None."],
+  ["DisposeAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_async_disposable_service.html#a3bcb31cb213a921cbfc4b548b1571abb","Toolbox::Core::Abstractions::IAsyncDisposableService","functions","Asynchronously releases resources with cancellation support.","cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous disposal operation. This method allows for graceful shutdown with timeout support. If the cancellation token is triggered, the implementation should attempt to release critical resources immediately. The standard IAsyncDisposable.DisposeAsync method should call this method with CancellationToken.None."],
+  ["DisposeAsyncCore","../class_sample_service.html#ac667ccd31274fce29bb598b5a5f593c2","SampleService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_base_1_1_base_async_disposable_service.html#af67f7795ee7795cbe84c409e7c48af62","Toolbox::Core::Base::BaseAsyncDisposableService","functions","Performs application-defined async cleanup operations.","cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects. If the cancellation token is triggered, the implementation should attempt to release critical resources immediately and may throw OperationCanceledException."],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#af03a98fbca48075dfa8bd52e85a5936c","Toolbox::Core::Services::Api::HttpApiService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#a66430c765f915913cfbbd49f8bbd09f1","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a681b435f226e69b0c06d134af2b7bff7","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a739af7ce6c951bbfc4d59db6781d1c46","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#ad25aedfa6d6dc6b8b6726f171bd00708","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DisposeAsyncCore","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#aead3e7af73d87cbafd360347e36fde9a","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Performs application-defined async cleanup operations. cancellationToken A CancellationToken that can be used to cancel the disposal operation. A ValueTask representing the asynchronous operation. Override this method to release async resources such as streams, database connections, or other async-disposable objects.",""],
+  ["DownloadBatch","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a633dc3abc6a6c476632f6275d7f91662","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Downloads multiple files from the remote server. files Collection of tuples containing (remotePath, localPath) pairs. overwrite Whether to overwrite existing local files. The number of files successfully downloaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["DownloadBatch","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a6a0c49174a00d2a33c09943f6b8cfeb7","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Downloads multiple files from the remote server. files Collection of tuples containing (remotePath, localPath) pairs. overwrite Whether to overwrite existing local files. The number of files successfully downloaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["DownloadBatch","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#a8fa36a9667eb5532d1e1490204d31966","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Downloads multiple files from the remote server.","files Collection of tuples containing (remotePath, localPath) pairs. overwrite Whether to overwrite existing local files. The number of files successfully downloaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail."],
+  ["DownloadBatchAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a0d45675ff5262c4ecff6aa08fb682aac","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Downloads multiple files from the remote server asynchronously. files Collection of tuples containing (remotePath, localPath) pairs. overwrite Whether to overwrite existing local files. cancellationToken Cancellation token. A task containing the number of files successfully downloaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["DownloadBatchAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a422d60e8663bf5c040832ddbf70d0221","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Downloads multiple files from the remote server asynchronously. files Collection of tuples containing (remotePath, localPath) pairs. overwrite Whether to overwrite existing local files. cancellationToken Cancellation token. A task containing the number of files successfully downloaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["DownloadBatchAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#a9b2153d151943a376d3365ddfbfb4519","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Downloads multiple files from the remote server asynchronously.","files Collection of tuples containing (remotePath, localPath) pairs. overwrite Whether to overwrite existing local files. cancellationToken Cancellation token. A task containing the number of files successfully downloaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail."],
+  ["DownloadOne","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a97be6cecd8e7fbf0e15e048d5b381023","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Downloads a single file from the remote server. remotePath The remote file path to download. localPath The local destination path. overwrite Whether to overwrite existing local files. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when remote file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["DownloadOne","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a81aca18a4c2217ac7067f30266e62703","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Downloads a single file from the remote server. remotePath The remote file path to download. localPath The local destination path. overwrite Whether to overwrite existing local files. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when remote file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["DownloadOne","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#a16448190399a0a2230f75c29dda1a851","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Downloads a single file from the remote server.","remotePath The remote file path to download. localPath The local destination path. overwrite Whether to overwrite existing local files. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when remote file doesn't exist. IOException Thrown when transfer fails."],
+  ["DownloadOneAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a40427bcf42493c48ea8f79f5495c46d6","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Downloads a single file from the remote server asynchronously. remotePath The remote file path to download. localPath The local destination path. overwrite Whether to overwrite existing local files. cancellationToken Cancellation token. A task representing the asynchronous operation. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when remote file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["DownloadOneAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a94af0bd9271952109afff0a02aaeb284","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Downloads a single file from the remote server asynchronously. remotePath The remote file path to download. localPath The local destination path. overwrite Whether to overwrite existing local files. cancellationToken Cancellation token. A task representing the asynchronous operation. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when remote file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["DownloadOneAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#aed1537898eecb5b9dc32c88a51525c38","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Downloads a single file from the remote server asynchronously.","remotePath The remote file path to download. localPath The local destination path. overwrite Whether to overwrite existing local files. cancellationToken Cancellation token. A task representing the asynchronous operation. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when remote file doesn't exist. IOException Thrown when transfer fails."],
+  ["DoWorkAsync","../class_sample_service.html#a9517e289671e8098655ef2563c31419b","SampleService","functions","Performs sample work asynchronously. message The message to process. ct Cancellation token. A task representing the async operation.",""],
+  ["DoWorkAsync","../interface_i_sample_service.html#af558448f0c3ea3c73b0235216186395b","ISampleService","functions","Performs sample work asynchronously.","message The message to process. ct Cancellation token. A task representing the async operation."],
+  ["Duration","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a9cc29f2892a97bda50bcc1cf11b7e4cc","Toolbox::Core::Options::ApiResponse","properties","Gets the request duration.","The time taken for the request."],
+  ["EmailAddress","../namespace_toolbox_1_1_core_1_1_options.html#aaa73e3de1e09ba82a7b2435bba10d0d3","Toolbox::Core::Options","functions","Represents an email address with an optional display name.","This is an immutable record type that combines an email address with an optional human-readable display name. Address The email address (e.g., \"user@example.com\"). DisplayName The optional display name (e.g., \"John Doe\")."],
+  ["EmailAttachment","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html","Toolbox::Core::Options","classes","Represents an email attachment.","An attachment can be created from either a file path or raw byte data. The content type is automatically detected from the filename if not specified."],
+  ["EmailMessage","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html","Toolbox::Core::Options","classes","Represents an email message to be sent.","This class contains all the information needed to compose and send an email, including recipients, subject, body, and attachments. At least one recipient must be specified in To or Bcc. If To is empty, at least one Bcc recipient is required."],
+  ["EmailMessageTests","../class_toolbox_1_1_tests_1_1_unit_1_1_options_1_1_email_message_tests.html","Toolbox::Tests::Unit::Options","classes","Unit tests for EmailMessage and related classes.",""],
+  ["EmailPriority","../namespace_toolbox_1_1_core_1_1_options.html#ae7d22020ff38ac3c9033e77d09540778","Toolbox::Core::Options","enums","Specifies the priority of an email message.",""],
+  ["EnableConsoleExport","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#a77efdd55213c2072793143d52be3f6f4","Toolbox::Core::Options::ToolboxTelemetryOptions","properties","Gets or sets a value indicating whether console export is enabled.","true to export telemetry to console; false to disable. Defaults to false. Enable this for debugging purposes only. Not recommended for production."],
+  ["EnableDetailedTelemetry","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_options.html#a70d6a07f94590e14b15ee1552b631534","Toolbox::Core::Options::ToolboxOptions","properties","Gets or sets a value indicating whether detailed telemetry should be enabled.","true to enable detailed telemetry including all operations; false for minimal telemetry. Defaults to false. When enabled, additional spans and metrics are recorded for internal operations. This may increase telemetry volume but provides better debugging capabilities."],
+  ["EnableMetrics","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#a973d6de7776d4c78425f263ff1c20caf","Toolbox::Core::Options::ToolboxTelemetryOptions","properties","Gets or sets a value indicating whether metrics collection is enabled.","true to enable metrics; false to disable. Defaults to true."],
+  ["EnableTracing","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#a50f491773234e522517838b94454f336","Toolbox::Core::Options::ToolboxTelemetryOptions","properties","Gets or sets a value indicating whether distributed tracing is enabled.","true to enable tracing; false to disable. Defaults to true."],
+  ["EncodeToBase64","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#a8fcb35f4d944f84177d992b1f05f3110","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Encodes bytes to Base64 string using the configured encoding table.","bytes The bytes to encode. The Base64 encoded string."],
+  ["EncodingTable","../class_toolbox_1_1_core_1_1_options_1_1_base64_cryptography_options.html#a214c81a47799865e51cf7e56b7edf13e","Toolbox::Core::Options::Base64CryptographyOptions","properties","Gets or sets the encoding table to use.","The Base64 encoding table. Defaults to Base64EncodingTable.Standard."],
+  ["Encrypt","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#acca78d079b5b61766b44df902ded3865","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Encrypts the specified plain text. plainText The text to encrypt. The encrypted text. ArgumentNullException Thrown when plainText is null.",""],
+  ["Encrypt","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#a367b25c280d280f5ecf469e94da66d04","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Encrypts the specified plain text. plainText The text to encrypt. The encrypted text. ArgumentNullException Thrown when plainText is null.",""],
+  ["Encrypt","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a0d6440aa8b8df80575e7c69873fc3dca","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","","Encrypts the specified plain text. plainText The text to encrypt. The encrypted text. ArgumentNullException Thrown when plainText is null. CryptographicException Thrown when encryption fails. RSA can only encrypt data smaller than the key size minus padding overhead. For larger data, consider using hybrid encryption (RSA + AES)."],
+  ["Encrypt","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_cryptography_service.html#af7d5a5001f53ab7db2bee41b919e8b59","Toolbox::Core::Abstractions::Services::ICryptographyService","functions","Encrypts the specified plain text.","plainText The text to encrypt. The encrypted text. ArgumentNullException Thrown when plainText is null."],
+  ["EncryptAsync","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#a912ab62911fa9f0ec93297f2a918f351","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Asynchronously encrypts the specified plain text. plainText The text to encrypt. cancellationToken A token to cancel the operation. A task containing the encrypted text. ArgumentNullException Thrown when plainText is null.",""],
+  ["EncryptAsync","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_base64_cryptography_service.html#aa061bb1de53760c740b7c16b2e273129","Toolbox::Core::Services::Cryptography::Base64CryptographyService","functions","Asynchronously encrypts the specified plain text. plainText The text to encrypt. cancellationToken A token to cancel the operation. A task containing the encrypted text. ArgumentNullException Thrown when plainText is null.",""],
+  ["EncryptAsync","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a8d65b30e83ed3be8cb39bfa1d9cd2227","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Asynchronously encrypts the specified plain text. plainText The text to encrypt. cancellationToken A token to cancel the operation. A task containing the encrypted text. ArgumentNullException Thrown when plainText is null.",""],
+  ["EncryptAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_cryptography_service.html#a05ababf7768be976af8ab8b6b96e60bf","Toolbox::Core::Abstractions::Services::ICryptographyService","functions","Asynchronously encrypts the specified plain text.","plainText The text to encrypt. cancellationToken A token to cancel the operation. A task containing the encrypted text. ArgumentNullException Thrown when plainText is null."],
+  ["EnsureConnected","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#ab27966550045d44a03c34de084fa47a0","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Ensures the client is connected to the server.",""],
+  ["EnsureConnectedAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a1bb1dcd3c05592add156459812d63ed2","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Ensures the client is connected to the server.","cancellationToken Cancellation token."],
+  ["EnsureConnectedAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a25bc56d8fc132b3949d86f11f75fe48c","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Ensures the client is connected to the server asynchronously.","cancellationToken Cancellation token."],
+  ["EnsureConnectedAsync","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#a731a09d40f69e7586c02acfaf88bf805","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Ensures the client is connected to the SMTP server.","cancellationToken Cancellation token."],
+  ["EnsureSuccess","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#aae1b1269892d6c0d5199218cea0d9cb7","Toolbox::Core::Options::ApiResponse","functions","Throws an exception if the response indicates an error.","HttpRequestException Thrown when response is not successful."],
+  ["Error","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#ad7295a5f46737289d5aa1e13506e793d","Toolbox::Core::Options::ApiResponse","functions","Creates an error response.","statusCode The status code. message The error message. A new ApiResponse."],
+  ["FileName","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a3178dcb477c3e739acfb83d1b4000785","Toolbox::Core::Options::EmailAttachment","properties","Gets the filename of the attachment.","The filename to use in the email."],
+  ["FilePath","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#af5ee3aee9da198e3e9024a6e26e2afdd","Toolbox::Core::Options::EmailAttachment","properties","Gets the file path of the attachment.","The file path, or null if using byte content."],
+  ["FileTransferOptions","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html","Toolbox::Core::Options","classes","Configuration options for file transfer services.","These options configure the connection to FTP/SFTP servers. For SFTP, you can use either password authentication or private key authentication."],
+  ["FileTransferOptionsTests","../class_toolbox_1_1_tests_1_1_unit_1_1_options_1_1_file_transfer_options_tests.html","Toolbox::Tests::Unit::Options","classes","Unit tests for FileTransferOptions.",""],
+  ["FileTransferProtocol","../namespace_toolbox_1_1_core_1_1_options.html#aa64f23a5d7659cdbe89265ce2d23086c","Toolbox::Core::Options","enums","Specifies the file transfer protocol to use.","SFTP provides encrypted transfers and is recommended for sensitive data."],
+  ["FollowRedirects","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a0033c861e010757102e58400ea48c00c","Toolbox::Core::Options::ApiOptions","properties","Gets or sets whether to follow redirects automatically.","true to follow redirects; false to return redirect responses. Default is true."],
+  ["From","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#ae81d3000119c9b12dfffe302a6ed34e1","Toolbox::Core::Options::EmailMessage","properties","Gets or sets the sender's email address.","The sender address. If null, uses the service's default sender."],
+  ["FromBytes","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a2b0f649a7f6e17f0b20df2172fee173b","Toolbox::Core::Options::EmailAttachment","functions","Creates an attachment from a byte array.","content The attachment content. fileName The filename to use in the email. contentType The content type, or null to auto-detect from filename. An EmailAttachment representing the content. ArgumentNullException Thrown when content or fileName is null."],
+  ["FromBytes","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#a11d9cb712cd59fd30f03885a47d95b0c","Toolbox::Core::Options::RsaKeyPair","functions","Creates an RsaKeyPair from raw byte arrays.","publicKey The public key in SubjectPublicKeyInfo format. privateKey The private key in PKCS#8 format, or null for public-only. keySize The key size in bits. A new RsaKeyPair instance. ArgumentNullException Thrown when publicKey is null."],
+  ["FromCertificate","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#aab9750348bf4c7e81179a2d14a0a42e0","Toolbox::Core::Options::RsaKeyPair","functions","Creates an RsaKeyPair from an X.509 certificate.","certificate The certificate containing the RSA public key. A new RsaKeyPair instance. ArgumentNullException Thrown when certificate is null. ArgumentException Thrown when the certificate does not contain an RSA key."],
+  ["FromFile","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a853dc810e2df93594ae0a484f53ce974","Toolbox::Core::Options::EmailAttachment","functions","Creates an attachment from a file path.","filePath The path to the file. contentType The content type, or null to auto-detect. fileName The filename to use, or null to use the file's name. An EmailAttachment representing the file. ArgumentNullException Thrown when filePath is null. FileNotFoundException Thrown when the file does not exist."],
+  ["Ftp","../namespace_toolbox_1_1_core_1_1_options.html#aa64f23a5d7659cdbe89265ce2d23086cad0fd87c447cf407eb99b635393f4dacb","Toolbox::Core::Options::FileTransferProtocol","enumvalues","File Transfer Protocol (unencrypted).","Warning: FTP transfers data in plain text. Use FTPS or SFTP for sensitive data."],
+  ["FtpFileTransferService","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html","Toolbox::Core::Services::FileTransfer","classes","File transfer service implementation using FTP/FTPS protocols.","This service provides file upload and download capabilities using the FTP protocol. It supports both plain FTP and FTPS (FTP over TLS/SSL). Uses FluentFTP library for FTP operations. IFileTransferService"],
+  ["FtpFileTransferService","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a234001ece138875554fbeb45cb492533","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Initializes a new instance of the FtpFileTransferService class.","options The file transfer options. logger The logger instance."],
+  ["FtpFileTransferService","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a25abf01d010eca69476eeb4388a36e4e","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Initializes a new instance of the FtpFileTransferService class.","options The file transfer options. logger The logger instance. ArgumentNullException Thrown when options or logger is null. ArgumentException Thrown when host or username is empty."],
+  ["FtpFileTransferServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service_tests.html","Toolbox::Tests::Unit::Services::FileTransfer","classes","Unit tests for FtpFileTransferService.","These tests verify argument validation and configuration. Integration tests with a real FTP server would be in a separate test project."],
+  ["Ftps","../namespace_toolbox_1_1_core_1_1_options.html#aa64f23a5d7659cdbe89265ce2d23086ca1efd1c1b8282cdf729025c164794ed5f","Toolbox::Core::Options::FileTransferProtocol","enumvalues","FTP over TLS/SSL (encrypted).","Provides encryption for FTP connections using TLS/SSL."],
+  ["GenerateCertificate","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a0a56928eef9957cec54185e332770a55","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Generates a self-signed X.509 certificate containing an RSA key pair.","keySize The key size in bits. subjectName The certificate subject name. validityPeriod The certificate validity period. includePrivateKey Whether to include the private key in the certificate. An RsaKeyPair containing the generated certificate."],
+  ["GenerateCertificate","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#aeba578a09d400cfa0431ffdbd2e27aba","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Generates a self-signed X.509 certificate containing an RSA key pair.","keySize The key size to generate. subjectName The certificate subject name (e.g., \"CN=MyApp\"). validityPeriod The certificate validity period. includePrivateKey Whether to include the private key in the certificate. An RsaKeyPair containing the generated certificate. ArgumentNullException Thrown when subjectName is null. ArgumentException Thrown when keySize is not valid."],
+  ["GenerateKeyPair","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a01b384be723c2fa81134191f316861a2","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Generates a new RSA key pair.","keySize The key size in bits (512, 1024, 2048, 4096, 8192, or 16384). includePrivateKey Whether to include the private key in the result. An RsaKeyPair containing the generated keys. ArgumentException Thrown when keySize is not valid."],
+  ["GenerateKeyPair","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a25fe7a8c713f3c467f87a0a3fd0f92fb","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Generates a new RSA key pair.","keySize The key size to generate. includePrivateKey Whether to include the private key in the result. An RsaKeyPair containing the generated keys. ArgumentException Thrown when keySize is not a valid RSA key size."],
+  ["Get","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#adc19541ba616263136091218814e80d1","Toolbox::Core::Options::ApiRequest","functions","Creates a GET request.","url The URL or path. A new ApiRequest."],
+  ["GetClientCertificate","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a43449abefc5d5368231b2ee0eec86c52","Toolbox::Core::Services::Api::HttpApiService","functions","Gets the client certificate for authentication.","The X.509 certificate, or null if not configured."],
+  ["GetContentType","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a86b1abb8ff6ad04c1e41c9eeedc96a44","Toolbox::Core::Options::EmailAttachment","functions","Gets the content type based on file extension.","fileName The filename or path. The MIME content type."],
+  ["GetDefaultPort","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a04947fbfcad2d865623906c932e4472b","Toolbox::Core::Options::FileTransferOptions","functions","Gets the default port for the current protocol.","The default port number."],
+  ["GetDirectoryPath","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#ae903ac84dafa32b196811f72c21fae8b","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Gets the directory portion of a path.","path The full path. The directory path."],
+  ["GetEffectivePort","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a2c798a4aab8c3364a81a0913747bb6db","Toolbox::Core::Options::FileTransferOptions","functions","Gets the effective port, using the default if not explicitly set.","The port number to use."],
+  ["GetEncryptionPadding","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a35cb9e8a61d8278a405b2b786b62138e","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Converts the RsaPaddingMode enum to RSAEncryptionPadding.","mode The padding mode enum value. The corresponding RSAEncryptionPadding instance."],
+  ["GetHeader","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a5337b5d30a7f6809016a8c622c46d1f7","Toolbox::Core::Options::ApiResponse","functions","Gets a header value.","name The header name. The first header value, or null if not found."],
+  ["GetHeaders","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a031f554c076f51b7130314ff4589d2d1","Toolbox::Core::Options::ApiResponse","functions","Gets all values for a header.","name The header name. All header values, or empty if not found."],
+  ["GetMaxDataLength","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#ac333e1f65116bd087e4b5f2f41203897","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Gets the maximum data length that can be encrypted with the current key and padding.","The maximum number of bytes that can be encrypted."],
+  ["GetOAuth2TokenAsync","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a808a92f1404832e4e6b070af3477ea2d","Toolbox::Core::Services::Api::HttpApiService","functions","Gets an OAuth2 access token using client credentials flow.","cancellationToken Cancellation token. The access token."],
+  ["HasPrivateKey","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#a3fb77c5e71b39fb255e0267b629a1717","Toolbox::Core::Options::RsaKeyPair","properties","Gets a value indicating whether this key pair contains a private key.","true if a private key is available; otherwise, false."],
+  ["HasRecipients","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a6e9f18a8cfe7ea88b2547402868d41ce","Toolbox::Core::Options::EmailMessage","properties","Gets a value indicating whether this message has any recipients.","true if there is at least one recipient; otherwise, false."],
+  ["Head","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a1bb959460ddb0199ab46d06fc901d92a","Toolbox::Core::Options::ApiRequest","functions","Creates a HEAD request.","url The URL or path. A new ApiRequest."],
+  ["Header","../namespace_toolbox_1_1_core_1_1_options.html#a5fee6f0e4a878865f082011a3248da30abf50d5e661106d0abe925af3c2e6f7e7","Toolbox::Core::Options::ApiKeyLocation","enumvalues","Send API key in a header.",""],
+  ["Headers","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#af06149ec3b36c0585349a67fff366b03","Toolbox::Core::Options::ApiRequest","properties","Gets the request headers.","Dictionary of header names and values."],
+  ["Headers","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#acebf1624cbf9d398cf5456a92049e765","Toolbox::Core::Options::ApiResponse","properties","Gets the response headers.","Dictionary of header names and values."],
+  ["Headers","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#ac8af8d8afbb92f19ee7e9584906778d3","Toolbox::Core::Options::EmailMessage","properties","Gets the custom headers to include in the email.","A dictionary of custom header names and values."],
+  ["High","../namespace_toolbox_1_1_core_1_1_options.html#ae7d22020ff38ac3c9033e77d09540778a655d20c1ca69519ca647684edbb2db35","Toolbox::Core::Options::EmailPriority","enumvalues","High priority.",""],
+  ["Host","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a73afc07437abda81838a9319394b68af","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the server hostname or IP address.","The server address."],
+  ["Host","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a1973fb40f24a5029a0da0be3f7f93a9d","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the SMTP server hostname or IP address.","The SMTP server host. Default is \"localhost\"."],
+  ["HttpApiService","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html","Toolbox::Core::Services::Api","classes","HTTP API service implementation using HttpClient.","This service provides HTTP request capabilities with support for: All HTTP verbs Multiple authentication modes Automatic retry with exponential backoff Request/response logging and telemetry IApiService"],
+  ["HttpApiService","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a13db9bf8c57aa5cdb1fdc5454edc34c8","Toolbox::Core::Services::Api::HttpApiService","functions","Initializes a new instance of the HttpApiService class.","options The API service options. logger The logger instance. ArgumentNullException Thrown when options or logger is null."],
+  ["HttpApiService","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a2e0327bd457d140986ae3b5dcae62c49","Toolbox::Core::Services::Api::HttpApiService","functions","Initializes a new instance of the HttpApiService class with a provided HttpClient.","httpClient The HttpClient to use. options The API service options. logger The logger instance. ArgumentNullException Thrown when parameters are null."],
+  ["HttpApiService","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a5b6a7d2f7dffc37af3a16a464f1ba9cf","Toolbox::Core::Services::Api::HttpApiService","functions","Initializes a new instance of the HttpApiService class.","options The API service options. logger The logger instance."],
+  ["HttpApiServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_api_1_1_http_api_service_tests.html","Toolbox::Tests::Unit::Services::Api","classes","Unit tests for HttpApiService.","These tests verify argument validation and configuration. Integration tests with real APIs would be in a separate test project."],
+  ["IApiService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_api_service.html","Toolbox::Core::Abstractions::Services","classes","Defines the contract for HTTP API services.","This interface provides methods for making HTTP requests with support for: All HTTP verbs (GET, POST, PUT, DELETE, PATCH, etc.) Multiple authentication modes (Bearer, Basic, API Key, Certificate) JSON serialization/deserialization Custom headers and query parameters Automatic retry with exponential backoff IInstrumentedService, IAsyncDisposableService"],
+  ["IAsyncDisposableService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_async_disposable_service.html","Toolbox::Core::Abstractions","classes","Interface for services requiring asynchronous disposal with cancellation support.","This interface combines IDisposableService and IAsyncDisposable with an additional method supporting cancellation tokens for graceful shutdown scenarios. IDisposableService"],
+  ["ICryptographyService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_cryptography_service.html","Toolbox::Core::Abstractions::Services","classes","Interface for cryptography services providing text encryption and decryption.","This interface defines a simple contract for encrypting and decrypting text. Implementations may use various algorithms (Base64, AES, RSA, etc.). All methods accept and return string values for ease of use."],
+  ["IDisposableService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_disposable_service.html","Toolbox::Core::Abstractions","classes","Base interface for disposable services providing lifecycle management.","This interface extends IDisposable with additional properties for service identification and disposal state tracking. IAsyncDisposableService"],
+  ["IFileTransferService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html","Toolbox::Core::Abstractions::Services","classes","Defines the contract for file transfer services supporting FTP and SFTP protocols.","This interface provides methods for uploading and downloading files to/from remote servers using FTP or SFTP protocols. All methods support both synchronous and asynchronous operations."],
+  ["IInstrumentedService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_instrumented_service.html","Toolbox::Core::Abstractions","classes","Interface for services that expose OpenTelemetry instrumentation.","Services implementing this interface provide access to their telemetry primitives, enabling consistent observability across the application. The ActivitySource is used for distributed tracing, while the Meter is used for metrics collection."],
+  ["IMailingService","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_mailing_service.html","Toolbox::Core::Abstractions::Services","classes","Defines the contract for email sending services.","This interface provides methods for sending emails with support for: Single or multiple recipients (To, CC, BCC) File attachments HTML or plain text content IInstrumentedService, IAsyncDisposableService"],
+  ["IncludePadding","../class_toolbox_1_1_core_1_1_options_1_1_base64_cryptography_options.html#a9f2d8fa3947244e6872b3cca8748d79d","Toolbox::Core::Options::Base64CryptographyOptions","properties","Gets or sets a value indicating whether padding should be included.","true to include '=' padding characters; false to omit them. Defaults to true. Padding is required by the Base64 standard but can be omitted in some contexts. When decoding, the service handles both padded and unpadded input."],
+  ["ISampleService","../interface_i_sample_service.html","","classes","Sample service interface demonstrating Toolbox patterns.",""],
+  ["IsBodyHtml","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a82878f0f02674c42c078a1d0a85bc1bf","Toolbox::Core::Options::EmailMessage","properties","Gets or sets a value indicating whether the body is HTML.","true if the body is HTML; false for plain text. Default is false."],
+  ["IsClientError","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a1b30956dc36228b7d56acd95e8ecd0c7","Toolbox::Core::Options::ApiResponse","properties","Gets a value indicating whether the response indicates a client error (4xx status).","true if status code is 4xx; otherwise, false."],
+  ["IsDisposed","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#af000ffed9733f0bc1b39998b081fe8e7","Toolbox::Core::Base::BaseDisposableService","properties","Gets a value indicating whether this service has been disposed. true if the service has been disposed; otherwise, false.",""],
+  ["IsDisposed","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_disposable_service.html#a7b631cf1b2439a4c95cc6149170bd1b1","Toolbox::Core::Abstractions::IDisposableService","properties","Gets a value indicating whether this service has been disposed.","true if the service has been disposed; otherwise, false. This property should be checked before performing any operation on the service. Operations on disposed services should throw ObjectDisposedException."],
+  ["IsInline","../class_toolbox_1_1_core_1_1_options_1_1_email_attachment.html#a87c92e4fc41de2261fd60c2bb5177f84","Toolbox::Core::Options::EmailAttachment","properties","Gets a value indicating whether this attachment is inline (embedded in HTML).","true if inline; otherwise, false."],
+  ["IsRedirect","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#ac29ced7049c785ba83fa9c3455be5a08","Toolbox::Core::Options::ApiResponse","properties","Gets a value indicating whether the response is a redirect (3xx status).","true if status code is 3xx; otherwise, false."],
+  ["IsServerError","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a0d00fac5c1919222643ad826b2a90ccd","Toolbox::Core::Options::ApiResponse","properties","Gets a value indicating whether the response indicates a server error (5xx status).","true if status code is 5xx; otherwise, false."],
+  ["IsSuccess","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#ad9882807aeabd1aeba8ccc0b57461e1a","Toolbox::Core::Options::ApiResponse","properties","Gets a value indicating whether the response indicates success (2xx status).","true if status code is 2xx; otherwise, false."],
+  ["Key","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#aed41df33ef97ec4a2c9e015ce3aa4bdb","Toolbox::Core::Services::Cryptography::AesCryptographyService","variables","Generates a new AES key and initialization vector.","keySize The key size (128, 192, or 256 bits). A tuple containing the generated key and IV. ArgumentException Thrown when keySize is not 128, 192, or 256. keySize The key size in bits (128, 192, or 256). A tuple containing the generated key and IV. ArgumentException Thrown when keySize is not 128, 192, or 256."],
+  ["KeySize","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#ae2631c69bf8487916142d64c41e165a2","Toolbox::Core::Options::RsaKeyPair","properties","Gets the key size in bits.","The RSA key size."],
+  ["Low","../namespace_toolbox_1_1_core_1_1_options.html#ae7d22020ff38ac3c9033e77d09540778a28d0edd045e05cf5af64e35ae0c4c6ef","Toolbox::Core::Options::EmailPriority","enumvalues","Low priority.",""],
+  ["MailingOptions","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html","Toolbox::Core::Options","classes","Configuration options for the SMTP mailing service.","These options configure how the mailing service connects to an SMTP server. Authentication is optional for servers that support anonymous relay. For secure connections, use SmtpSecurityMode.StartTls (port 587) or SmtpSecurityMode.SslOnConnect (port 465)."],
+  ["MailingServiceCollectionExtensionsTests","../class_toolbox_1_1_tests_1_1_unit_1_1_extensions_1_1_mailing_service_collection_extensions_tests.html","Toolbox::Tests::Unit::Extensions","classes","Unit tests for MailingServiceCollectionExtensions.",""],
+  ["MaxRedirects","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a1b349cf42ca14eb0d4da7fa2ed1217d8","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the maximum number of redirects to follow.","The maximum redirects. Default is 10."],
+  ["MaxRetries","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a57f0285af6fe846c5613690aa42ffa04","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the maximum number of retry attempts.","The retry count. Default is 3."],
+  ["Meter","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a1a6603570442645f31abbcad1d225068","Toolbox::Core::Base::BaseDisposableService","properties","Gets the System.Diagnostics.Metrics.Meter for metrics collection. The meter used to create instruments for this service.",""],
+  ["Meter","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_instrumented_service.html#a1b5982d055e61a3e027c2d5ee45c69a0","Toolbox::Core::Abstractions::IInstrumentedService","properties","Gets the System.Diagnostics.Metrics.Meter for metrics collection.","The meter used to create instruments for this service. Instruments created from this meter will report metrics when OpenTelemetry metrics is configured."],
+  ["Method","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a06e9e8057655d57c61ed531091f56a97","Toolbox::Core::Options::ApiRequest","properties","Gets the HTTP method.","The HTTP method (GET, POST, PUT, DELETE, etc.)."],
+  ["None","../namespace_toolbox_1_1_core_1_1_options.html#a0a1f76d9ade3c05f751b22ef05061453a6adf97f83acf6453d4a6a4b1070f3754","Toolbox::Core::Options::SmtpSecurityMode","enumvalues","No encryption (not recommended for production). Use only for local development or internal networks.",""],
+  ["Normal","../namespace_toolbox_1_1_core_1_1_options.html#ae7d22020ff38ac3c9033e77d09540778a960b44c579bc2f6818d2daaf9e4c16f0","Toolbox::Core::Options::EmailPriority","enumvalues","Normal priority (default).",""],
+  ["OaepSha1","../namespace_toolbox_1_1_core_1_1_options.html#a37c881e3211938fcd305b625a9671448aa6f1ce2e7f0f2230793ff1bcbe0f7003","Toolbox::Core::Options::RsaPaddingMode","enumvalues","OAEP with SHA-1 hash.","More secure than PKCS#1 v1.5. SHA-1 is considered weak; prefer SHA-256 or SHA-384 for new applications."],
+  ["OaepSha256","../namespace_toolbox_1_1_core_1_1_options.html#a37c881e3211938fcd305b625a9671448ae5be65bae7bdb25d6c2bc73c3cd46d3c","Toolbox::Core::Options::RsaPaddingMode","enumvalues","OAEP with SHA-256 hash.","Recommended padding mode for most applications. Provides good security with reasonable performance."],
+  ["OaepSha384","../namespace_toolbox_1_1_core_1_1_options.html#a37c881e3211938fcd305b625a9671448a3b386a8b979e012ecd5dd94348635fbe","Toolbox::Core::Options::RsaPaddingMode","enumvalues","OAEP with SHA-384 hash.","Stronger than SHA-256 with slightly higher overhead."],
+  ["OaepSha512","../namespace_toolbox_1_1_core_1_1_options.html#a37c881e3211938fcd305b625a9671448a868eb13c1858c183935887b7d7aa81a3","Toolbox::Core::Options::RsaPaddingMode","enumvalues","OAEP with SHA-512 hash.","Strongest OAEP variant. Recommended for highly sensitive data."],
+  ["OAuth2AccessToken","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a4b040ab32d447a2226acfdbec363e034","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the OAuth2 access token for authentication.","The OAuth2 token, or null to use password authentication. When set, this takes precedence over password authentication. Useful for services like Gmail or Office 365 that require OAuth2."],
+  ["OAuth2ClientCredentials","../namespace_toolbox_1_1_core_1_1_options.html#ab22b6f43cc1f7c3dbad33cb7aa555249ab15bc0261f674d0bf43c084d770315b1","Toolbox::Core::Options::ApiAuthenticationMode","enumvalues","OAuth2 client credentials flow. Automatically obtains and refreshes access tokens.",""],
+  ["OAuth2ClientId","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a4c490b62f0b75becbfa4245d6f1f0d5a","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the OAuth2 client ID.","The client ID."],
+  ["OAuth2ClientSecret","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#af3c6ddb9688e27881baff0c41ddcb37f","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the OAuth2 client secret.","The client secret."],
+  ["OAuth2Scopes","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a6413ef1fa1ac2f837dcded107d180e49","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the OAuth2 scopes.","Space-separated scopes (e.g., \"read write\")."],
+  ["OAuth2TokenUrl","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a5e8fb0aa4595eafad53d1eb80dfe3757","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the OAuth2 token endpoint URL.","The token endpoint (e.g., \"https://auth.example.com/oauth/token\")."],
+  ["OpenTelemetryExtensionsTests","../class_toolbox_1_1_tests_1_1_integration_1_1_open_telemetry_extensions_tests.html","Toolbox::Tests::Integration","classes","Integration tests for OpenTelemetryExtensions.",""],
+  ["OperationTimeout","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a4ac54159454fd2e283a8801db7fadbad","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the operation timeout for read/write operations.","The timeout duration. Default is 60 seconds."],
+  ["OperationTimeout","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#aebf39366b856983c2e3ef80f296a7a79","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the operation timeout for sending emails.","The operation timeout. Default is 2 minutes."],
+  ["Options","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#acf3890bc53a094393fbbf1a4cab61308","Toolbox::Core::Options::ApiRequest","functions","Creates an OPTIONS request.","url The URL or path. A new ApiRequest."],
+  ["OptionsSchemaTests","../class_toolbox_1_1_tests_1_1_regression_1_1_options_schema_tests.html","Toolbox::Tests::Regression","classes","Regression tests for options classes to detect breaking changes in configuration schema.",""],
+  ["OtlpEndpoint","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#aac1b83338d681be52bad44f03551b47b","Toolbox::Core::Options::ToolboxTelemetryOptions","properties","Gets or sets the OTLP endpoint for telemetry export.","The OTLP endpoint URL. Defaults to null (OTLP export disabled). Example: http://localhost:4317 for a local OTLP collector."],
+  ["Password","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a58e0a0c3c1f54b81fd8d8f406a684869","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the password for basic authentication.","The password. Used when AuthenticationMode is ApiAuthenticationMode.Basic."],
+  ["Password","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#ab06f316edd65c9230b21a4855bd24948","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the password for authentication.","The password, or null for key-based authentication."],
+  ["Password","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#addde220b9b4243a94dbf9c6d5d5623e1","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the password for SMTP authentication.","The password, or null for anonymous authentication."],
+  ["Patch","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a7bd68f324636e566840020c0a6ac88e3","Toolbox::Core::Options::ApiRequest","functions","Creates a PATCH request.","url The URL or path. A new ApiRequest."],
+  ["Patch< T >","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a300af8f887a6751cc77ac59dba56b587","Toolbox::Core::Options::ApiRequest","functions","Creates a PATCH request with JSON content.","T The body type. url The URL or path. body The request body. options JSON serializer options. A new ApiRequest."],
+  ["Pkcs1","../namespace_toolbox_1_1_core_1_1_options.html#a37c881e3211938fcd305b625a9671448abc978a8cb9698bd801f2e77713c26387","Toolbox::Core::Options::RsaPaddingMode","enumvalues","PKCS#1 v1.5 padding.","Legacy padding mode. Compatible with older systems but vulnerable to certain attacks. Not recommended for new applications."],
+  ["PlainTextBody","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a667aa502ae68efb886b63e93b06a695b","Toolbox::Core::Options::EmailMessage","properties","Gets or sets the plain text version of the body for HTML emails.","The plain text alternative, or null to auto-generate from HTML. Only used when IsBodyHtml is true."],
+  ["Port","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a970c1d03c039471cad314f80af179c04","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the server port.","The port number. Default is 21 for FTP, 22 for SFTP."],
+  ["Port","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#acea60967c6520c8c575a6dc81310fc0d","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the SMTP server port.","The port number. Default is 25. Common ports: 25 (unencrypted), 587 (STARTTLS), 465 (SSL/TLS)."],
+  ["Post","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a3e3e1e01010dfda0201ac9344f485b6a","Toolbox::Core::Options::ApiRequest","functions","Creates a POST request.","url The URL or path. A new ApiRequest."],
+  ["Post< T >","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a2ea4daa4d8de703288c4f3c80d7c4ccf","Toolbox::Core::Options::ApiRequest","functions","Creates a POST request with JSON content.","T The body type. url The URL or path. body The request body. options JSON serializer options. A new ApiRequest."],
+  ["Priority","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#abfe1f4e9814f5b67aa2122fafef4804a","Toolbox::Core::Options::EmailMessage","properties","Gets or sets the email priority.","The message priority. Default is EmailPriority.Normal."],
+  ["PrivateKey","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#a2e05dabe536cf7b9a543b9bf84dc5104","Toolbox::Core::Options::RsaKeyPair","properties","Gets the private key in DER-encoded PKCS#8 format.","The private key bytes, or null if not available or not included."],
+  ["PrivateKeyContent","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#ab94e3d4e8625bb6c1f327556d2212337","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the private key content for SFTP key-based authentication.","The private key content as a string, or null."],
+  ["PrivateKeyPassphrase","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#af5d39a7a27cd05c27b717b4548f9c707","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the passphrase for the private key.","The passphrase, or null if the key is not encrypted."],
+  ["PrivateKeyPath","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a75bd8e0fb9ac0f1a306d584c21581ded","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the private key file path for SFTP key-based authentication.","The path to the private key file, or null for password authentication."],
+  ["Protocol","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#a300625ffc14d0f4b71421214ba75cd22","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the file transfer protocol to use.","The protocol. Default is FileTransferProtocol.Sftp."],
+  ["PublicKey","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#a8744b4471d6363247ac464c63f73f9a5","Toolbox::Core::Options::RsaKeyPair","properties","Gets the public key in DER-encoded SubjectPublicKeyInfo format.","The public key bytes, or null if not available in this format."],
+  ["Put","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#ab09b7cc8b377bd225d976fa846631ce4","Toolbox::Core::Options::ApiRequest","functions","Creates a PUT request.","url The URL or path. A new ApiRequest."],
+  ["Put< T >","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#ad246e7b922cfe5fa71f2acf44f79592a","Toolbox::Core::Options::ApiRequest","functions","Creates a PUT request with JSON content.","T The body type. url The URL or path. body The request body. options JSON serializer options. A new ApiRequest."],
+  ["QueryParameters","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#ae2398a82589a5b98dc9d2f0595ecddcd","Toolbox::Core::Options::ApiRequest","properties","Gets the query parameters.","Dictionary of query parameter names and values."],
+  ["QueryString","../namespace_toolbox_1_1_core_1_1_options.html#a5fee6f0e4a878865f082011a3248da30a3b2017ef103f7fd579b93e93e5a59477","Toolbox::Core::Options::ApiKeyLocation","enumvalues","Send API key as a query parameter.",""],
+  ["ReasonPhrase","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a3361b19eafefcff0f5390938a90ba683","Toolbox::Core::Options::ApiResponse","properties","Gets the reason phrase.","The reason phrase (e.g., \"OK\", \"Not Found\")."],
+  ["RecordApiRequest","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a15b25bf573219b86afa5ae461d58be5a","Toolbox::Core::Services::Api::HttpApiService","functions","Records API request metrics.","request The request. response The response."],
+  ["RecordEmailSent","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#ae0d51ef5ae63b97415d4c21cd07770ee","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Records email metrics.","message The sent message."],
+  ["RecordOperation","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#ab9bb57dbeef02f41d313f0516d5ba9b4","Toolbox::Core::Base::BaseDisposableService","functions","Records an operation metric with the specified name and duration.","operationName The name of the operation. durationMs The duration in milliseconds."],
+  ["ReplyTo","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#ad1e2b8d83269be70648b1ea4c001c428","Toolbox::Core::Options::EmailMessage","properties","Gets or sets the reply-to email address.","The reply-to address, or null to use the sender's address."],
+  ["RequiresAuthentication","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a8edd367bcee0766e09aed546e09e7639","Toolbox::Core::Options::MailingOptions","properties","Gets a value indicating whether authentication is configured.","true if username or OAuth2 token is set; otherwise, false."],
+  ["RetryDelay","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#af7b1d566cbbe3694b5584abf7ba797bc","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the delay between retries.","The retry delay. Default is 1 second."],
+  ["Rsa1024","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917ca847a80a85b21658a62d2f5f879244395","Toolbox::Core::Options::RsaKeySize","enumvalues","1024-bit key.","Warning: This key size is considered weak and not recommended for production use."],
+  ["Rsa16384","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917caeabebb294a15ff04cc95d9b0cabe210d","Toolbox::Core::Options::RsaKeySize","enumvalues","16384-bit key.","Maximum security with very high performance impact. Key generation and operations can be very slow."],
+  ["Rsa2048","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917ca281bd1c9bfdba587622c814cd394b41a","Toolbox::Core::Options::RsaKeySize","enumvalues","2048-bit key.","Minimum recommended key size for production use. Provides good balance between security and performance."],
+  ["Rsa4096","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917cad880f3537020087a6b59cba347c4c433","Toolbox::Core::Options::RsaKeySize","enumvalues","4096-bit key.","Recommended for highly sensitive data. Provides stronger security with moderate performance impact."],
+  ["Rsa512","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917cac99db3d877fd3c833bf4504e9ebcfa21","Toolbox::Core::Options::RsaKeySize","enumvalues","512-bit key.","Warning: This key size is considered insecure and should only be used for testing."],
+  ["Rsa8192","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917cad92762b7bfde758ccf96421e542c08f3","Toolbox::Core::Options::RsaKeySize","enumvalues","8192-bit key.","Very strong security with significant performance impact. Use only when maximum security is required."],
+  ["RsaCryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html","Toolbox::Core::Services::Cryptography","classes","Cryptography service implementation using RSA asymmetric encryption.","This service provides secure text encryption and decryption using the RSA algorithm. It supports various key sizes and padding modes. Encryption requires only the public key, while decryption requires the private key. The encrypted output is Base64-encoded for safe text transmission. ICryptographyService"],
+  ["RsaCryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a1ce02ac159386c5dcd90c5f688affa55","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Initializes a new instance of the RsaCryptographyService class using an X.509 certificate.","certificate The X.509 certificate containing the RSA key(s). paddingMode The padding mode to use for encryption/decryption. logger The logger instance. ArgumentNullException Thrown when certificate or logger is null. ArgumentException Thrown when the certificate does not contain an RSA key."],
+  ["RsaCryptographyService","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a7b79c2ea91fbdafaaac21da221ff9373","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Initializes a new instance of the RsaCryptographyService class using raw key bytes.","publicKey The public key in SubjectPublicKeyInfo format. paddingMode The padding mode to use for encryption/decryption. logger The logger instance. privateKey The private key in PKCS#8 format, or null if decryption is not needed. ArgumentNullException Thrown when publicKey or logger is null. CryptographicException Thrown when the key format is invalid."],
+  ["RsaCryptographyServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service_tests.html","Toolbox::Tests::Unit::Services::Cryptography","classes","Unit tests for RsaCryptographyService.",""],
+  ["RsaKeyPair","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html","Toolbox::Core::Options","classes","Represents an RSA key pair containing public and optionally private key data.","This class provides multiple formats for RSA keys: raw byte arrays and X.509 certificates. The private key is optional - some operations (like encryption) only require the public key."],
+  ["RsaKeyPair","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#a84134110947bf2513ea7d27ed853b282","Toolbox::Core::Options::RsaKeyPair","functions","Initializes a new instance of the RsaKeyPair class.","Use the static factory methods to create instances."],
+  ["RsaKeySize","../namespace_toolbox_1_1_core_1_1_options.html#a7c28c5d4278a7f74d61438430114917c","Toolbox::Core::Options","enums","Specifies the RSA key size in bits.","Larger key sizes provide stronger security but have significantly higher performance overhead. RSA-2048 is the minimum recommended for production use. RSA-4096 is recommended for highly sensitive data."],
+  ["RsaPaddingMode","../namespace_toolbox_1_1_core_1_1_options.html#a37c881e3211938fcd305b625a9671448","Toolbox::Core::Options","enums","Specifies the RSA encryption padding mode.","The padding mode affects both security and compatibility. OAEP (Optimal Asymmetric Encryption Padding) is more secure than PKCS#1 v1.5."],
+  ["SampleService","../class_sample_service.html","","classes","Sample service implementation using BaseAsyncDisposableService.",""],
+  ["SampleService","../class_sample_service.html#a3545afe78fb3e525d70ad0c3360ddcc7","SampleService","functions","Initializes a new instance of the SampleService class.","logger The logger instance."],
+  ["SectionName","../class_toolbox_1_1_core_1_1_options_1_1_base64_cryptography_options.html#ad44e2c1a33e08fd0c76ec687525cccc9","Toolbox::Core::Options::Base64CryptographyOptions","variables","The configuration section name for Base64 cryptography options.",""],
+  ["SectionName","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#ada6c9c5bc36991f94f147061b3dd922a","Toolbox::Core::Options::FileTransferOptions","variables","The configuration section name for binding.",""],
+  ["SectionName","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_options.html#a04306cd36618f56804e8622e6700dea2","Toolbox::Core::Options::ToolboxOptions","variables","The configuration section name for Toolbox options.",""],
+  ["SectionName","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#ad376b2327064c73e8ce4baf2410836c5","Toolbox::Core::Options::ToolboxTelemetryOptions","variables","The configuration section name for telemetry options.",""],
+  ["SecurityMode","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#aa0965c379cae15714a13ad998027d33b","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the security mode for the SMTP connection.","The security mode. Default is SmtpSecurityMode.Auto."],
+  ["Send","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#ac500eb0b849bbdc483def95d72074bb0","Toolbox::Core::Services::Api::HttpApiService","functions","Sends an HTTP request synchronously. request The request to send. The API response. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails.",""],
+  ["Send","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_api_service.html#a8e1e539d9367084d49f092a7fd28f0f7","Toolbox::Core::Abstractions::Services::IApiService","functions","Sends an HTTP request synchronously.","request The request to send. The API response. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails."],
+  ["Send< T >","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a12ae6cb6399a2ce3c8552aec716bace4","Toolbox::Core::Services::Api::HttpApiService","functions","Sends an HTTP request and deserializes the response. T The response body type. request The request to send. The deserialized response body. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails or returns an error status.",""],
+  ["Send< T >","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_api_service.html#a27ea4b9ea559b9e6c686d53a690f0f5b","Toolbox::Core::Abstractions::Services::IApiService","functions","Sends an HTTP request and deserializes the response.","T The response body type. request The request to send. The deserialized response body. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails or returns an error status."],
+  ["SendAsync","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#aaed64c4d21394332ab877cec4b5a3c8f","Toolbox::Core::Services::Api::HttpApiService","functions","Sends an HTTP request asynchronously. request The request to send. cancellationToken A token to cancel the operation. A task containing the API response. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails. OperationCanceledException Thrown when the operation is cancelled.",""],
+  ["SendAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_api_service.html#a0accf629ae4c199538748481fe5878a2","Toolbox::Core::Abstractions::Services::IApiService","functions","Sends an HTTP request asynchronously.","request The request to send. cancellationToken A token to cancel the operation. A task containing the API response. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails. OperationCanceledException Thrown when the operation is cancelled."],
+  ["SendAsync< T >","../class_toolbox_1_1_core_1_1_services_1_1_api_1_1_http_api_service.html#a44f935aae5324b5f2d40dc6f786eda13","Toolbox::Core::Services::Api::HttpApiService","functions","Sends an HTTP request and deserializes the response asynchronously. T The response body type. request The request to send. cancellationToken A token to cancel the operation. A task containing the deserialized response body. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails or returns an error status. OperationCanceledException Thrown when the operation is cancelled.",""],
+  ["SendAsync< T >","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_api_service.html#aa115f05961994226ad5f2ffce5cb974d","Toolbox::Core::Abstractions::Services::IApiService","functions","Sends an HTTP request and deserializes the response asynchronously.","T The response body type. request The request to send. cancellationToken A token to cancel the operation. A task containing the deserialized response body. ArgumentNullException Thrown when request is null. HttpRequestException Thrown when the request fails or returns an error status. OperationCanceledException Thrown when the operation is cancelled."],
+  ["SendMail","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#a6196953505265e87710fe85710c77c03","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Sends an email synchronously. message The email message to send. ArgumentNullException Thrown when message is null. ArgumentException Thrown when the message has no recipients (To or BCC). InvalidOperationException Thrown when the SMTP connection fails.",""],
+  ["SendMail","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_mailing_service.html#a2d1c6b6cef15eb73bea48a0934cf8381","Toolbox::Core::Abstractions::Services::IMailingService","functions","Sends an email synchronously.","message The email message to send. ArgumentNullException Thrown when message is null. ArgumentException Thrown when the message has no recipients (To or BCC). InvalidOperationException Thrown when the SMTP connection fails."],
+  ["SendMailAsync","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#aa946d4ab1fd7abe6fd5ec78ee2a5998b","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Sends an email asynchronously. message The email message to send. cancellationToken A token to cancel the operation. A task representing the asynchronous operation. ArgumentNullException Thrown when message is null. ArgumentException Thrown when the message has no recipients (To or BCC). InvalidOperationException Thrown when the SMTP connection fails. OperationCanceledException Thrown when the operation is cancelled.",""],
+  ["SendMailAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_mailing_service.html#a96bf02139942f62ee0009fe3b2247306","Toolbox::Core::Abstractions::Services::IMailingService","functions","Sends an email asynchronously.","message The email message to send. cancellationToken A token to cancel the operation. A task representing the asynchronous operation. ArgumentNullException Thrown when message is null. ArgumentException Thrown when the message has no recipients (To or BCC). InvalidOperationException Thrown when the SMTP connection fails. OperationCanceledException Thrown when the operation is cancelled."],
+  ["ServiceCollectionExtensionsTests","../class_toolbox_1_1_tests_1_1_integration_1_1_service_collection_extensions_tests.html","Toolbox::Tests::Integration","classes","Integration tests for ServiceCollectionExtensions.",""],
+  ["ServiceName","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a629b72dfa8c6b42881909f8336c0dcbe","Toolbox::Core::Base::BaseDisposableService","properties","Gets the unique name identifying this service instance. A human-readable name for logging and diagnostics.",""],
+  ["ServiceName","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#a3046c1e387903245e09b85eb8a18d52f","Toolbox::Core::Options::ToolboxTelemetryOptions","properties","Gets or sets the service name for telemetry identification.","The service name used in telemetry. Defaults to \"Toolbox\"."],
+  ["ServiceName","../interface_toolbox_1_1_core_1_1_abstractions_1_1_i_disposable_service.html#a639988028cfcc5b5704fdbacb7032b74","Toolbox::Core::Abstractions::IDisposableService","properties","Gets the unique name identifying this service instance.","A human-readable name for logging and diagnostics."],
+  ["ServicePrefix","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_options.html#a0bf6b659534ce1a07f5e7e8c0a59138b","Toolbox::Core::Options::ToolboxOptions","properties","Gets or sets the prefix to use for service names in telemetry.","A string prefix prepended to service names. Defaults to null (no prefix). Use this to distinguish services from different applications using the same Toolbox library."],
+  ["ServiceVersion","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html#a8310f9472b0b080ebb725f7f8a8d1889","Toolbox::Core::Options::ToolboxTelemetryOptions","properties","Gets or sets the service version for telemetry identification.","The service version string. Defaults to \"1.0.0\"."],
+  ["SetBinaryContent","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a5d6dece7eb8a858c68da4662b33e62d4","Toolbox::Core::Options::ApiRequest","functions","Sets binary content for the request body.","bytes The byte array. contentType The content type. Default is \"application/octet-stream\". This request for chaining."],
+  ["SetFormContent","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a8f54de7d78e3039400d846a5a6350071","Toolbox::Core::Options::ApiRequest","functions","Sets form URL-encoded content for the request body.","formData The form data. This request for chaining."],
+  ["SetJsonContent< T >","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a6062cb6723b3dfbd0aaeba357ddf6365","Toolbox::Core::Options::ApiRequest","functions","Sets JSON content for the request body.","T The body type. body The request body. options JSON serializer options. This request for chaining."],
+  ["SetStreamContent","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a4b421958cd4ae4ca01f43342be5722bd","Toolbox::Core::Options::ApiRequest","functions","Sets stream content for the request body.","stream The stream. contentType The content type. Default is \"application/octet-stream\". This request for chaining."],
+  ["SetStringContent","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a8f06d44684caeb91b514078f9285003f","Toolbox::Core::Options::ApiRequest","functions","Sets string content for the request body.","content The content string. contentType The content type. Default is \"text/plain\". This request for chaining."],
+  ["Sftp","../namespace_toolbox_1_1_core_1_1_options.html#aa64f23a5d7659cdbe89265ce2d23086caefa3f4451afa6d5c9afddae2d8a81484","Toolbox::Core::Options::FileTransferProtocol","enumvalues","SSH File Transfer Protocol (encrypted).","Provides secure file transfer over SSH. Recommended for sensitive data."],
+  ["SftpFileTransferService","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html","Toolbox::Core::Services::FileTransfer","classes","File transfer service implementation using SFTP protocol.","This service provides secure file upload and download capabilities using the SFTP protocol. It supports both password and private key authentication. Uses SSH.NET library for SFTP operations. IFileTransferService"],
+  ["SftpFileTransferService","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a9bee15cb5a018d0a53da1ef895dc852e","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Initializes a new instance of the SftpFileTransferService class.","options The file transfer options. logger The logger instance. ArgumentNullException Thrown when options or logger is null. ArgumentException Thrown when host or username is empty."],
+  ["SftpFileTransferService","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#adbbe0d8a543a8b89b6592be111393352","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Initializes a new instance of the SftpFileTransferService class.","options The file transfer options. logger The logger instance."],
+  ["SftpFileTransferServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service_tests.html","Toolbox::Tests::Unit::Services::FileTransfer","classes","Unit tests for SftpFileTransferService.","These tests verify argument validation and configuration. Integration tests with a real SFTP server would be in a separate test project."],
+  ["SmtpMailingService","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html","Toolbox::Core::Services::Mailing","classes","Email sending service implementation using SMTP with MailKit.","This service provides secure email sending via SMTP with support for: TLS/SSL encryption (STARTTLS and implicit SSL) Password and OAuth2 authentication Anonymous connections for internal relays Multiple recipients (To, CC, BCC) HTML and plain text content File attachments and inline images IMailingService"],
+  ["SmtpMailingService","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#a61d3434bd50f150fbf68f406395d616c","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Initializes a new instance of the SmtpMailingService class.","options The mailing service options. logger The logger instance."],
+  ["SmtpMailingService","../class_toolbox_1_1_core_1_1_services_1_1_mailing_1_1_smtp_mailing_service.html#a88d19f3ee89dc3b7cc76a819fe2e2e8e","Toolbox::Core::Services::Mailing::SmtpMailingService","functions","Initializes a new instance of the SmtpMailingService class.","options The mailing service options. logger The logger instance. ArgumentNullException Thrown when options or logger is null. ArgumentException Thrown when host is empty."],
+  ["SmtpMailingServiceTests","../class_toolbox_1_1_tests_1_1_unit_1_1_services_1_1_mailing_1_1_smtp_mailing_service_tests.html","Toolbox::Tests::Unit::Services::Mailing","classes","Unit tests for SmtpMailingService.","These tests verify argument validation and configuration. Integration tests with a real SMTP server would be in a separate test project."],
+  ["SmtpSecurityMode","../namespace_toolbox_1_1_core_1_1_options.html#a0a1f76d9ade3c05f751b22ef05061453","Toolbox::Core::Options","enums","Specifies the security mode for SMTP connections.","Choose the appropriate mode based on your SMTP server's requirements. When in doubt, use Auto for automatic negotiation."],
+  ["SslOnConnect","../namespace_toolbox_1_1_core_1_1_options.html#a0a1f76d9ade3c05f751b22ef05061453a1ae39b3b0584084d66a8b31f7f43b6b1","Toolbox::Core::Options::SmtpSecurityMode","enumvalues","Use implicit SSL/TLS from the start. Standard for port 465.",""],
+  ["Standard","../namespace_toolbox_1_1_core_1_1_options.html#aae4ac17f23177c2ad802591f98604287aeb6d8ae6f20283755b339c0dc273988b","Toolbox::Core::Options::Base64EncodingTable","enumvalues","Standard Base64 alphabet as defined in RFC 4648. Uses '+' and '/' characters, with '=' padding.","Alphabet: A-Z, a-z, 0-9, +, /"],
+  ["StartActivity","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a8cae6c0b80bf9525c1d3e5a0a23b5e29","Toolbox::Core::Base::BaseDisposableService","functions","Starts a new activity for the specified operation.","operationName The name of the operation. Defaults to the calling method name. The started Activity if tracing is enabled; otherwise, null."],
+  ["StartTls","../namespace_toolbox_1_1_core_1_1_options.html#a0a1f76d9ade3c05f751b22ef05061453a645e26a3aaab46321ec5ea64e6ebcbb1","Toolbox::Core::Options::SmtpSecurityMode","enumvalues","Use STARTTLS to upgrade an unencrypted connection. Standard for port 587.",""],
+  ["StartTlsWhenAvailable","../namespace_toolbox_1_1_core_1_1_options.html#a0a1f76d9ade3c05f751b22ef05061453af30af5d1ee9276422e8c482cd42fc377","Toolbox::Core::Options::SmtpSecurityMode","enumvalues","Use STARTTLS if available, otherwise continue unencrypted. Less secure than StartTls but more compatible.",""],
+  ["StatusCode","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a3d0d03f1a691d1dcd7860def8714a74d","Toolbox::Core::Options::ApiResponse","properties","Gets the HTTP status code.","The status code."],
+  ["StatusCodeValue","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a939a87a416b603f0fe608377088908bd","Toolbox::Core::Options::ApiResponse","properties","Gets the status code as an integer.","The numeric status code."],
+  ["Subject","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a2878058a0675907e71f46085dd7c1e0f","Toolbox::Core::Options::EmailMessage","properties","Gets or sets the email subject.","The subject line."],
+  ["Success","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#a3766c05d32ac54a7e02f483c0113ed54","Toolbox::Core::Options::ApiResponse","functions","Creates a successful response.","body The response body. statusCode The status code. A new ApiResponse."],
+  ["TelemetryConstantsTests","../class_toolbox_1_1_tests_1_1_regression_1_1_telemetry_constants_tests.html","Toolbox::Tests::Regression","classes","Regression tests for TelemetryConstants to detect breaking changes.",""],
+  ["ThrowIfDisposed","../class_toolbox_1_1_core_1_1_base_1_1_base_disposable_service.html#a773c264af63233c53c4a9974073753b5","Toolbox::Core::Base::BaseDisposableService","functions","Throws an ObjectDisposedException if this service has been disposed.","ObjectDisposedException Thrown when IsDisposed is true. Call this method at the beginning of public methods to ensure the service is still usable."],
+  ["Timeout","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a60ec33964b858f8522f6fc41e7d1d20e","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the request timeout.","The timeout. Default is 30 seconds."],
+  ["Timeout","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#acb63d053a186e922ca0c4c75ffc8a129","Toolbox::Core::Options::ApiRequest","properties","Gets or sets the request timeout override.","Custom timeout, or null to use default."],
+  ["To","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a2a22cf3d9bd7c67d8ac73aab098fa24e","Toolbox::Core::Options::EmailMessage","properties","Gets the list of primary recipients.","The list of \"To\" recipients."],
+  ["Toolbox Usage Guide","../md__c_1_2_users_2micde_2_rider_projects_2_toolbox_2_u_s_a_g_e.html","","pages","","This guide provides detailed instructions for using the Toolbox library. Table of Contents Getting Started Cryptography Services Base64 Encoding AES Encryption RSA Encryption File Transfer Services FTP/FTPS SFTP Mailing Services API Services LDAP Services Active Directory Azure AD / Entra ID OpenLDAP Apple Directory Advanced Authentication SSO Services Session Management Credential Storage Automatic Token Refresh Creating Custom Services OpenTelemetry Integration Configuration Options Best Practices Getting Started Basic Setup Add Toolbox to your application: Configuration via appsettings.json Cryptography Services Base64 Encoding Base64 encoding/decoding service for text obfuscation (not encryption). Registration Usage AES Encryption Secure symmetric encryption using AES (CBC mode with PKCS7 padding). Registration Usage Key Generation RSA Encryption Asymmetric encryption using RSA with various key sizes and padding modes. Registration Usage Key Generation Padding Modes Mode Description Pkcs1 PKCS#1 v1.5 padding (legacy) OaepSha1 OAEP with SHA-1 OaepSha256 OAEP with SHA-256 (recommended) OaepSha384 OAEP with SHA-384 OaepSha512 OAEP with SHA-512 File Transfer Services FTP/FTPS File transfer service for FTP and FTPS (FTP over TLS) protocols. Registration Usage SFTP Secure file transfer over SSH (SFTP protocol). Registration Usage Configuration Options Option Type Default Description Host string - Server hostname Port int 21/22 Server port Username string - Login username Password string? null Password (if using password auth) PrivateKeyPath string? null Path to private key file PrivateKeyContent string? null Private key as string PrivateKeyPassphrase string? null Private key passphrase Protocol FileTransferProtocol Ftp Ftp, Ftps, or Sftp ConnectionTimeout TimeSpan 30s Connection timeout OperationTimeout TimeSpan 5min Operation timeout BufferSize int 32KB Transfer buffer size AutoCreateDirectory bool true Auto-create remote directories Mailing Services SMTP email sending service with TLS/SSL, OAuth2, and attachment support. Registration Usage Email with Inline Images Configuration Options Option Type Default Description Host string \"localhost\" SMTP server hostname Port int 25 SMTP port (25, 587, 465) SecurityMode SmtpSecurityMode Auto Security mode Username string? null SMTP username Password string? null SMTP password OAuth2AccessToken string? null OAuth2 token (Gmail, O365) ConnectionTimeout TimeSpan 30s Connection timeout OperationTimeout TimeSpan 2min Send timeout ValidateCertificate bool true Validate SSL certificate DefaultFrom EmailAddress? null Default sender address DefaultReplyTo EmailAddress? null Default reply-to address Security Modes Mode Port Description Auto - Automatic detection None 25 No encryption (internal only) StartTls 587 Upgrade to TLS (recommended) StartTlsWhenAvailable 587 TLS if available SslOnConnect 465 Implicit SSL/TLS API Services HTTP API client service with multiple authentication modes and automatic retry. Registration Usage Advanced Usage Configuration Options Option Type Default Description BaseUrl string? null Base URL for all requests AuthenticationMode ApiAuthenticationMode Anonymous Authentication method Timeout TimeSpan 30s Request timeout MaxRetries int 3 Maximum retry attempts RetryDelay TimeSpan 1s Delay between retries UseExponentialBackoff bool true Use exponential backoff ValidateCertificate bool true Validate SSL certificates FollowRedirects bool true Follow HTTP redirects MaxRedirects int 10 Maximum redirects to follow UserAgent string \"Toolbox...\" Default User-Agent header Authentication Modes Mode Description Anonymous No authentication BearerToken Bearer token in Authorization header Basic Basic authentication (username:password) ApiKey API key in header or query string Certificate Client certificate authentication OAuth2ClientCredentials OAuth2 client credentials flow LDAP Services Directory services for querying users, groups, and computers from various LDAP providers. Active Directory Windows Active Directory service using LDAP protocol. Registration Usage Group and Computer Operations Configuration Options Option Type Default Description Domain string - Fully qualified domain name Server string? null Domain controller (auto-discovers if null) Port int 389 LDAP port (636 for SSL) BaseDn string? null Base DN for searches Username string? null Bind username Password string? null Bind password UseSsl bool false Use SSL/TLS (LDAPS) UseCurrentCredentials bool false Use Windows integrated auth ValidateCertificate bool true Validate SSL certificate ConnectionTimeout TimeSpan 30s Connection timeout OperationTimeout TimeSpan 60s Operation timeout Azure AD / Entra ID Azure Active Directory service using Microsoft Graph API. Registration Usage Important Notes Azure AD does not support ValidateCredentials() - use Azure AD authentication flows instead Search filters use OData syntax, not LDAP filter syntax Computer queries return Azure AD joined devices Configuration Options Option Type Default Description TenantId string - Azure AD tenant ID or domain ClientId string - Application (client) ID ClientSecret string? null Client secret AuthenticationMode AzureAdAuthMode ClientSecret Authentication method UseManagedIdentity bool false Use Azure Managed Identity CertificatePath string? null Path to certificate file CertificateThumbprint string? null Certificate thumbprint GraphApiBaseUrl string v1.0 endpoint Microsoft Graph API URL OpenLDAP OpenLDAP or compatible Linux directory service. Registration Usage Configuration Options Option Type Default Description Host string - LDAP server hostname Port int 389 LDAP port BaseDn string - Base DN for searches BindDn string? null Bind DN for authentication BindPassword string? null Bind password SecurityMode LdapSecurityMode None Security mode (None, Ssl, StartTls) UserObjectClass string inetOrgPerson User object class GroupObjectClass string groupOfNames Group object class UsernameAttribute string uid Username attribute Apple Directory Apple Open Directory service for macOS environments. Registration Usage Configuration Options Option Type Default Description Host string - Directory server hostname Port int 389 LDAP port BaseDn string - Base DN BindDn string? null Bind DN BindPassword string? null Bind password UseSsl bool false Use SSL UserObjectClass string apple-user Apple user object class GroupObjectClass string apple-group Apple group object class UniqueIdAttribute string apple-generateduid Unique ID attribute Advanced Authentication All LDAP services support advanced authentication methods beyond simple username/password authentication. Authentication Modes Mode AD Azure AD OpenLDAP Apple Description Simple ✓ ✓* ✓ ✓ DN + Password Anonymous ✓ ✗ ✓ ✓ No credentials Kerberos ✓ ✗ ✓** ✗ GSSAPI/SPNEGO Ntlm ✓ ✗ ✗ ✗ NTLM legacy Negotiate ✓ ✗ ✗ ✗ Auto Kerberos/NTLM IntegratedWindows ✓ ✗ ✗ ✗ Current Windows context Certificate ✓ ✓ ✓** ✓** X.509 client certificate SaslPlain ✗ ✗ ✓ ✓ SASL PLAIN SaslExternal ✗ ✗ ✓** ✓** SASL EXTERNAL (certificate) SaslGssapi ✗ ✗ ✓** ✗ SASL GSSAPI (Kerberos) Azure AD Simple maps to ROPC (Resource Owner Password Credentials) OAuth2 flow ** Limited support - may return failure with guidance Usage with Options Kerberos Authentication (Active Directory) Integrated Windows Authentication Certificate Authentication Azure AD Interactive Authentication Querying Supported Modes Authentication Result The LdapAuthenticationResult contains: Property Type Description IsAuthenticated bool Whether authentication succeeded Username string? Authenticated username UserDistinguishedName string? User's DN AuthenticationMode LdapAuthenticationMode Mode used DirectoryType LdapDirectoryType Directory type ErrorMessage string? Error description (if failed) ErrorCode string? LDAP error code Groups IReadOnlyList<string>? User's groups (if requested) Claims IDictionary<string, object>? Additional claims AuthenticatedAt DateTimeOffset? Authentication timestamp Token string? OAuth token (Azure AD) ExpiresAt DateTimeOffset? Token expiration LDAP Management Operations All LDAP services (Active Directory, OpenLDAP, Apple Directory) support account management operations. Azure AD is read-only through Graph API. Account Management Enable, disable, and unlock user or computer accounts. Group Membership Add or remove members from groups. Object Movement Move objects between organizational units (OUs). Password Management Change and reset user passwords. Azure AD Management via Microsoft Graph Azure AD management uses Microsoft Graph API instead of LDAP. The same ILdapService interface works with Azure AD, but uses user IDs or UPNs instead of distinguished names. Required Microsoft Graph Permissions: Operation Application Permission Delegated Permission Enable/Disable Account User.ReadWrite.All User.ReadWrite Add/Remove from Group GroupMember.ReadWrite.All GroupMember.ReadWrite.All Reset Password User.ReadWrite.All - Force Password Change User.ReadWrite.All - Set Password Never Expires User.ReadWrite.All Directory.AccessAsUser.All Management Result All management operations return LdapManagementResult: Property Type Description IsSuccess bool Whether operation succeeded Operation LdapManagementOperation Type of operation performed TargetDistinguishedName string? DN of affected object Details string? Additional details or error message ErrorCode int? LDAP error code (if failed) Supported Operations by Directory Type Operation Active Directory OpenLDAP Apple Directory Azure AD EnableAccount ✅ ✅ ❌ ✅ DisableAccount ✅ ✅ ❌ ✅ UnlockAccount ✅ ✅ ❌ ❌¹ AddToGroup ✅ ✅ ✅ ✅ RemoveFromGroup ✅ ✅ ✅ ✅ MoveObject ✅ ✅ ❌ ❌² RenameObject ✅ ✅ ❌ ❌² ChangePassword ✅ ✅ ✅ ❌³ ResetPassword ✅ ✅ ✅ ✅ ForcePasswordChange ✅ ✅ ❌ ✅ SetPasswordNeverExpires ✅ ❌ ❌ ✅ Azure AD Notes: Azure AD uses Identity Protection for lockout management, not direct unlock Azure AD has no concept of OUs; use Administrative Units for delegation Password change requires delegated authentication flow (MSAL); use ResetPassword for admin resets Check supported operations programmatically: SSO Services Single Sign-On services for session management, credential storage, and automatic token refresh. Registration Session Management Session Validation Session Events Credential Storage Secure credential storage with platform-specific implementations. Providers Provider Platform Description Auto All Auto-detect best provider WindowsCredentialManager Windows Windows Credential Manager with DPAPI MacOsKeychain macOS macOS Keychain Services (planned) LinuxSecretService Linux GNOME Keyring/KDE Wallet (planned) EncryptedFile All AES-256-GCM encrypted JSON file InMemory All Non-persistent, for testing Usage Credential Store Options Option Type Default Description Provider CredentialStoreProvider Auto Storage provider ApplicationName string \"Toolbox\" Application identifier for credentials FallbackStorePath string? null Path for encrypted file store UseOsKeychain bool true Prefer OS-native credential storage Automatic Token Refresh The token refresh service automatically refreshes tokens before they expire. Configuration Manual Refresh Refresh Events SSO Session Options Option Type Default Description DefaultSessionDuration TimeSpan 8 hours Default session lifetime MaxSessionDuration TimeSpan 7 days Maximum session lifetime SlidingExpiration TimeSpan? 30 min Sliding expiration window RefreshThreshold double 0.8 Refresh at % of lifetime RefreshCheckInterval TimeSpan 1 min Background check interval EnableAutoRefresh bool true Enable automatic refresh PersistSessions bool true Persist sessions to store MaxSessionsPerUser int 5 Max concurrent sessions RevokeOldestOnMaxReached bool true Revoke oldest when max reached EnforceDeviceBinding bool false Require same device EnforceIpBinding bool false Require same IP address Creating Custom Services Synchronous Disposal For services with synchronous cleanup: Asynchronous Disposal For services with async resources: OpenTelemetry Integration Basic Tracing and Metrics OTLP Export Custom Instrumentation Available Metrics Metric Type Description toolbox.operations.count Counter Total operations toolbox.operations.duration Histogram Operation duration (ms) toolbox.disposals.count Counter Service disposal events toolbox.instances.active UpDownCounter Active service instances toolbox.crypto.encrypt.count Counter Encryption operations toolbox.crypto.decrypt.count Counter Decryption operations toolbox.crypto.data.size Histogram Data size (bytes) toolbox.filetransfer.upload.count Counter File uploads toolbox.filetransfer.download.count Counter File downloads toolbox.filetransfer.size Histogram File size (bytes) toolbox.filetransfer.errors.count Counter File transfer errors toolbox.mailing.sent.count Counter Emails sent toolbox.api.requests.count Counter API requests toolbox.sso.sessions.created Counter SSO sessions created toolbox.sso.sessions.expired Counter SSO sessions expired toolbox.sso.sessions.active UpDownCounter Active SSO sessions toolbox.sso.validations.count Counter Session validations toolbox.sso.refresh.count Counter Token refreshes Configuration Options ToolboxOptions Option Type Default Description EnableDetailedTelemetry bool false Enable detailed telemetry ServicePrefix string? null Prefix for service names AsyncDisposalTimeout TimeSpan 30s Timeout for async disposal ToolboxTelemetryOptions Option Type Default Description EnableTracing bool true Enable distributed tracing EnableMetrics bool true Enable metrics collection EnableConsoleExport bool false Export to console OtlpEndpoint string? null OTLP collector endpoint ServiceName string \"Toolbox\" Service name for telemetry ServiceVersion string \"1.0.0\" Service version Best Practices 1. Always Check Disposal State 2. Use Activity Scopes for Tracing 3. Record Metrics for Performance 4. Handle Cancellation in Async Operations 5. Use Appropriate Service Lifetimes 6. Secure Credential Management"],
+  ["ToolboxOptions","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_options.html","Toolbox::Core::Options","classes","Configuration options for Toolbox core services.","These options can be configured via appsettings.json:"],
+  ["ToolboxTelemetryOptions","../class_toolbox_1_1_core_1_1_options_1_1_toolbox_telemetry_options.html","Toolbox::Core::Options","classes","Configuration options for OpenTelemetry integration in Toolbox.","These options can be configured via appsettings.json:"],
+  ["ToPublicOnly","../class_toolbox_1_1_core_1_1_options_1_1_rsa_key_pair.html#a15c37cc950b13377826ad776c130b1f3","Toolbox::Core::Options::RsaKeyPair","functions","Creates an RsaKeyPair containing only the public key from this pair.","A new RsaKeyPair with only the public key. ObjectDisposedException Thrown when the object has been disposed."],
+  ["TotalRecipients","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a3e25efe03279f3b48fbf34eabcde53e2","Toolbox::Core::Options::EmailMessage","properties","Gets the total number of recipients (To + CC + BCC).","The total recipient count."],
+  ["TryDeserialize< T >","../class_toolbox_1_1_core_1_1_options_1_1_api_response.html#af16c8db6718baf251aa6453821b551d3","Toolbox::Core::Options::ApiResponse","functions","Tries to deserialize the response body as JSON.","T The target type. result The deserialized object if successful. options JSON serializer options. true if deserialization succeeded; otherwise, false."],
+  ["UploadBatch","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#af86e5e8c6e3d66009fd6c1fde825a8a0","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Uploads multiple files to the remote server. files Collection of tuples containing (localPath, remotePath) pairs. overwrite Whether to overwrite existing files. The number of files successfully uploaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["UploadBatch","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#ad9b93a94ca76bd432dd320daa124921e","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Uploads multiple files to the remote server. files Collection of tuples containing (localPath, remotePath) pairs. overwrite Whether to overwrite existing files. The number of files successfully uploaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["UploadBatch","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#ae4dd51de7dcb5668082dc15073f6bb54","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Uploads multiple files to the remote server.","files Collection of tuples containing (localPath, remotePath) pairs. overwrite Whether to overwrite existing files. The number of files successfully uploaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail."],
+  ["UploadBatchAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a63073cbaccb6aa0a9f247f42d0a1ea08","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Uploads multiple files to the remote server asynchronously. files Collection of tuples containing (localPath, remotePath) pairs. overwrite Whether to overwrite existing files. cancellationToken Cancellation token. A task containing the number of files successfully uploaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["UploadBatchAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#adbcbc55146b849a4d4918ffda0b827b5","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Uploads multiple files to the remote server asynchronously. files Collection of tuples containing (localPath, remotePath) pairs. overwrite Whether to overwrite existing files. cancellationToken Cancellation token. A task containing the number of files successfully uploaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail.",""],
+  ["UploadBatchAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#ae4da65114040f1cf522cef93f514fc1e","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Uploads multiple files to the remote server asynchronously.","files Collection of tuples containing (localPath, remotePath) pairs. overwrite Whether to overwrite existing files. cancellationToken Cancellation token. A task containing the number of files successfully uploaded. ArgumentNullException Thrown when files collection is null. AggregateException Thrown when one or more transfers fail."],
+  ["UploadOne","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#a222a085f07cbcb05c1ea05c6f7ee6d52","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Uploads a single file to the remote server. localPath The local file path to upload. remotePath The remote destination path. overwrite Whether to overwrite existing files. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when local file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["UploadOne","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a8081b8c21e7bedd5486629282899028a","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Uploads a single file to the remote server. localPath The local file path to upload. remotePath The remote destination path. overwrite Whether to overwrite existing files. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when local file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["UploadOne","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#a39493197015631afe633dbf737acb5b9","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Uploads a single file to the remote server.","localPath The local file path to upload. remotePath The remote destination path. overwrite Whether to overwrite existing files. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when local file doesn't exist. IOException Thrown when transfer fails."],
+  ["UploadOneAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_ftp_file_transfer_service.html#ac8dd94083d2c5f9191c573fec7b3fd81","Toolbox::Core::Services::FileTransfer::FtpFileTransferService","functions","Uploads a single file to the remote server asynchronously. localPath The local file path to upload. remotePath The remote destination path. overwrite Whether to overwrite existing files. cancellationToken Cancellation token. A task representing the asynchronous operation. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when local file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["UploadOneAsync","../class_toolbox_1_1_core_1_1_services_1_1_file_transfer_1_1_sftp_file_transfer_service.html#a005ac6db09ec98d03f12d0e18b095ef4","Toolbox::Core::Services::FileTransfer::SftpFileTransferService","functions","Uploads a single file to the remote server asynchronously. localPath The local file path to upload. remotePath The remote destination path. overwrite Whether to overwrite existing files. cancellationToken Cancellation token. A task representing the asynchronous operation. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when local file doesn't exist. IOException Thrown when transfer fails.",""],
+  ["UploadOneAsync","../interface_toolbox_1_1_core_1_1_abstractions_1_1_services_1_1_i_file_transfer_service.html#a50c1189a1e77238ef3c86bb7c3d641ef","Toolbox::Core::Abstractions::Services::IFileTransferService","functions","Uploads a single file to the remote server asynchronously.","localPath The local file path to upload. remotePath The remote destination path. overwrite Whether to overwrite existing files. cancellationToken Cancellation token. A task representing the asynchronous operation. ArgumentNullException Thrown when paths are null. FileNotFoundException Thrown when local file doesn't exist. IOException Thrown when transfer fails."],
+  ["Url","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#ae51362d8d5c7b263d9807ed1af4c08a6","Toolbox::Core::Options::ApiRequest","properties","Gets the request URL or path.","The URL or path. Can be relative if base URL is configured."],
+  ["UrlSafe","../namespace_toolbox_1_1_core_1_1_options.html#aae4ac17f23177c2ad802591f98604287ad4936ec7e9ad91bcbb8b7ba05ef30ff8","Toolbox::Core::Options::Base64EncodingTable","enumvalues","URL and filename safe Base64 alphabet as defined in RFC 4648 Section 5. Uses '-' and '_' characters instead of '+' and '/'.","Alphabet: A-Z, a-z, 0-9, -, _ This variant is safe for use in URLs and filenames."],
+  ["UseExponentialBackoff","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a9c9db36422b7f6f98c438a22a5b8869a","Toolbox::Core::Options::ApiOptions","properties","Gets or sets whether to use exponential backoff for retries.","true for exponential backoff; false for fixed delay. Default is true."],
+  ["UserAgent","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a75f953ecee87a17859cebaa00fdd4bcc","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the default User-Agent header.","The User-Agent string."],
+  ["Username","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a97a7365ec0769e038aaeea4be4b0bb50","Toolbox::Core::Options::ApiOptions","properties","Gets or sets the username for basic authentication.","The username. Used when AuthenticationMode is ApiAuthenticationMode.Basic."],
+  ["Username","../class_toolbox_1_1_core_1_1_options_1_1_file_transfer_options.html#aa28f8b568093e1c0151fef417a0bd8e0","Toolbox::Core::Options::FileTransferOptions","properties","Gets or sets the username for authentication.","The username."],
+  ["Username","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a4757f2cb0756b8e12f0f5f174381c7c8","Toolbox::Core::Options::MailingOptions","properties","Gets or sets the username for SMTP authentication.","The username, or null for anonymous authentication."],
+  ["Validate","../class_toolbox_1_1_core_1_1_options_1_1_email_message.html#a631a28ef3c2b8a847205df409b4d83a2","Toolbox::Core::Options::EmailMessage","functions","Validates the message and throws if invalid.","ArgumentException Thrown when the message is invalid."],
+  ["ValidateCertificate","../class_toolbox_1_1_core_1_1_options_1_1_api_options.html#a1fa72ff5b9e293a649c6c567e71fa98f","Toolbox::Core::Options::ApiOptions","properties","Gets or sets whether to validate SSL certificates.","true to validate (recommended); false to skip. Default is true."],
+  ["ValidateCertificate","../class_toolbox_1_1_core_1_1_options_1_1_mailing_options.html#a13418293605c62830981c6fbc9f33262","Toolbox::Core::Options::MailingOptions","properties","Gets or sets whether to validate the server's SSL certificate.","true to validate certificates (recommended); false to accept all certificates (use only for testing). Default is true."],
+  ["ValidateIvSize","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#a148c3c80f2edf250d8f685db872d7beb","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Validates that the IV size is valid for AES.","ivSizeInBytes The IV size in bytes. ArgumentException Thrown when the IV size is invalid."],
+  ["ValidateKeySize","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_aes_cryptography_service.html#a0161dbbd45107caf048c3188df9e168c","Toolbox::Core::Services::Cryptography::AesCryptographyService","functions","Validates that the key size is valid for AES.","keySizeInBits The key size in bits. ArgumentException Thrown when the key size is invalid."],
+  ["ValidateKeySize","../class_toolbox_1_1_core_1_1_services_1_1_cryptography_1_1_rsa_cryptography_service.html#a9cdda4f028cf6b7df9f8a5a01e9041dc","Toolbox::Core::Services::Cryptography::RsaCryptographyService","functions","Validates that the key size is valid for RSA.","keySizeInBits The key size in bits. ArgumentException Thrown when the key size is invalid."],
+  ["WithHeader","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a849109ef628b7c9e34a546c1415a19ea","Toolbox::Core::Options::ApiRequest","functions","Adds a header to the request.","name The header name. value The header value. This request for chaining."],
+  ["WithQuery","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#a771b292001c6ac98d1c22ef3140521f9","Toolbox::Core::Options::ApiRequest","functions","Adds a query parameter to the request.","name The parameter name. value The parameter value. This request for chaining."],
+  ["WithTimeout","../class_toolbox_1_1_core_1_1_options_1_1_api_request.html#addb19820383e6d8a450841a49522ec82","Toolbox::Core::Options::ApiRequest","functions","Sets a custom timeout for this request.","timeout The timeout. This request for chaining."]
+];
@@ -23,6 +23,29 @@
  @licend  The above is the entire license notice for the JavaScript code in this file
  */
 const SEARCH_COOKIE_NAME = ''+'search_grp';
+const SEARCH_MODE_COOKIE_NAME = ''+'search_mode';
+const SEARCH_FULLTEXT_COOKIE_NAME = ''+'search_fulltext';
+const SEARCH_HISTORY_COOKIE_NAME = ''+'search_history';
+const SEARCH_PINNED_COOKIE_NAME = ''+'search_pinned';
+const THEME_COOKIE_NAME = ''+'theme';
+const PAGE_TRANSITIONS_COOKIE_NAME = ''+'page_transitions'; // read by navtree.js
+
+// The sections doxygen can generate search shards for, with their labels.
+const SEARCH_SECTIONS = [
+  ['all','All'], ['classes','Classes'], ['namespaces','Namespaces'], ['modules','Modules'],
+  ['files','Files'], ['functions','Functions'], ['variables','Variables'], ['typedefs','Typedefs'],
+  ['enums','Enumerations'], ['enumvalues','Enumerator'], ['properties','Properties'],
+  ['events','Events'], ['related','Friends'], ['defines','Macros'], ['groups','Topics'],
+  ['pages','Pages'], ['concepts','Concepts']
+];
+
+// The sections the search box offers, indexed like the tables of searchdata.js.
+// DiscoverSections() replaces them by the sections listed in sections.js.
+const indexSections = {
+  names:       Object.assign({}, indexSectionNames),
+  labels:      Object.assign({}, indexSectionLabels),
+  withContent: Object.assign({}, indexSectionsWithContent),
+};
 
 const searchResults = new SearchResults();
 
@@ -62,8 +85,7 @@ function SearchBox(name, resultsPath, extension) {
   // ---------- Instance variables
   this.name                  = name;
   this.resultsPath           = resultsPath;
-  this.keyTimeout            = 0;
-  this.keyTimeoutLength      = 500;
+  this.request               = null; // the shard loads of the running search
   this.closeSelectionTimeout = 300;
   this.lastSearchValue       = "";
   this.lastResultsPage       = "";
@@ -71,6 +93,11 @@ function SearchBox(name, resultsPath, extension) {
   this.searchIndex           = 0;
   this.searchActive          = false;
   this.extension             = extension;
+  this.matchAnywhere         = Cookie.readSetting(SEARCH_MODE_COOKIE_NAME,'anywhere')=='anywhere';
+  this.searchDescriptions    = Cookie.readSetting(SEARCH_FULLTEXT_COOKIE_NAME,'off')=='on';
+  this.shards                = new SearchShards(resultsPath);
+  this.resultsPage           = null; // the SearchPage showing the results, if any
+  this.history               = new SearchHistory();
 
   // ----------- DOM Elements
 
@@ -82,11 +109,32 @@ function SearchBox(name, resultsPath, extension) {
   this.DOMSearchClose              = () => document.getElementById("MSearchClose");
   this.DOMSearchBox                = () => document.getElementById("MSearchBox");
 
+  // Returns the content of the search field with leading and trailing
+  // whitespace removed and other whitespace collapsed to single spaces.
+  this.SearchValue = function() {
+    return this.DOMSearchField().value.replace(/\s+/g, " ").trim();
+  }
+
+  // Returns the URL of the search results page for searchValue, limited to
+  // the selected section unless that is "All", and searching the
+  // descriptions if that option is on.
+  this.SearchPageUrl = function(searchValue) {
+    const params = new URLSearchParams();
+    params.set('q', searchValue);
+    const section = indexSections.names[this.searchIndex];
+    if (section && section!='all') params.set('kind', section);
+    if (this.searchDescriptions) params.set('descriptions', '1');
+    return this.resultsPath.replace(/[^\/]*\/$/, '') + 'search' + this.extension + '?' + params.toString();
+  }
+
   // ------------ Event Handlers
 
   // Called when focus is added or removed from the search field.
   this.OnSearchFieldFocus = function(isActive) {
     this.Activate(isActive);
+    if (isActive && this.SearchValue()=="") {
+      this.ShowHistory();
+    }
   }
 
   this.OnSearchSelectShow = function() {
@@ -116,11 +164,6 @@ function SearchBox(name, resultsPath, extension) {
 
   // Called when the content of the search field is changed.
   this.OnSearchFieldChange = function(evt) {
-    if (this.keyTimeout) { // kill running timer
-      clearTimeout(this.keyTimeout);
-      this.keyTimeout = 0;
-    }
-
     const e = evt ? evt : window.event; // for IE
     if (e.keyCode==40 || e.keyCode==13) {
       if (e.shiftKey==1) {
@@ -134,6 +177,10 @@ function SearchBox(name, resultsPath, extension) {
           }
         }
         return;
+      } else if (e.keyCode==13 && (e.ctrlKey || e.metaKey) && !this.resultsPage && this.SearchValue()!="") {
+        // Ctrl+Enter shows all results on the search page
+        window.location.href = this.SearchPageUrl(this.SearchValue());
+        return;
       } else {
         const elem = searchResults.NavNext(0);
         if (elem) elem.focus();
@@ -141,6 +188,7 @@ function SearchBox(name, resultsPath, extension) {
     } else if (e.keyCode==27) { // Escape out of the search field
       e.stopPropagation();
       this.DOMSearchField().blur();
+      if (this.resultsPage) return;
       this.DOMPopupSearchResultsWindow().style.display = 'none';
       this.DOMSearchClose().style.display = 'none';
       this.lastSearchValue = '';
@@ -148,17 +196,17 @@ function SearchBox(name, resultsPath, extension) {
       return;
     }
 
-    // strip whitespaces
-    const searchValue = this.DOMSearchField().value.replace(/ +/g, "");
+    const searchValue = this.SearchValue();
 
     if (searchValue != this.lastSearchValue) { // search value has changed
       if (searchValue != "") { // non-empty search
-        // set timer for search update
-        this.keyTimeout = setTimeout(this.Search.bind(this), this.keyTimeoutLength);
-      } else { // empty search field
+        this.Search();
+      } else if (!this.resultsPage) { // empty search field
+        this.shards.Cancel(this.request);
         this.DOMPopupSearchResultsWindow().style.display = 'none';
         this.DOMSearchClose().style.display = 'none';
         this.lastSearchValue = '';
+        this.ShowHistory();
       }
     }
   }
@@ -213,12 +261,69 @@ function SearchBox(name, resultsPath, extension) {
   this.OnSelectItem = function(id) {
     this.searchIndex = id;
     this.SelectItemSet(id);
-    const searchValue = this.DOMSearchField().value.replace(/ +/g, "");
+    const searchValue = this.SearchValue();
     if (searchValue!="" && this.searchActive) { // something was found -> do a search
       this.Search();
     }
   }
 
+  // Called when the "Match anywhere" option is toggled. When enabled all
+  // shards of the selected section are searched, otherwise only the shard
+  // for the first character of the search value.
+  this.OnToggleMatchAnywhere = function() {
+    this.matchAnywhere = !this.matchAnywhere;
+    Cookie.writeSetting(SEARCH_MODE_COOKIE_NAME, this.matchAnywhere ? 'anywhere' : 'prefix');
+    this.OptionsSet();
+    const searchValue = this.SearchValue();
+    if (searchValue!="" && this.searchActive) {
+      this.Search();
+    }
+  }
+
+  // Called when the "Search descriptions" option is toggled. When enabled
+  // the brief and detailed descriptions in search/fulltext.js are searched
+  // instead of the symbol names.
+  this.OnToggleSearchDescriptions = function() {
+    this.searchDescriptions = !this.searchDescriptions;
+    Cookie.writeSetting(SEARCH_FULLTEXT_COOKIE_NAME, this.searchDescriptions ? 'on' : 'off');
+    this.OptionsSet();
+    const searchValue = this.SearchValue();
+    if (searchValue!="" && (this.searchActive || this.resultsPage)) {
+      this.Search();
+    }
+  }
+
+  // updates the check marks of the options in the selection window
+  this.OptionsSet = function() {
+    const options = { MSearchMatchAnywhere: this.matchAnywhere,
+                      MSearchDescriptions: this.searchDescriptions };
+    for (let id in options) {
+      const option = document.getElementById(id);
+      if (option) {
+        option.firstChild.innerHTML = options[id] ? '&#10003;' : '&#160;';
+      }
+    }
+  }
+
+  // Shows message above the search results and marks the filter icon,
+  // used when searchdata.js does not match the shards on disk.
+  this.ShowStaleIndexWarning = function(message) {
+    const select = this.DOMSearchSelect();
+    if (select) {
+      select.classList.add('stale');
+      select.setAttribute('title', message);
+    }
+    if (!document.getElementById("SRStaleIndex")) {
+      const warning = document.createElement('div');
+      warning.setAttribute('id','SRStaleIndex');
+      warning.setAttribute('class','SRStatus SRWarning');
+      const index = document.getElementById("SRIndex");
+      if (index) index.insertBefore(warning, index.firstChild);
+    }
+    const warning = document.getElementById("SRStaleIndex");
+    if (warning) warning.textContent = message;
+  }
+
   this.OnSearchSelectKey = function(evt) {
     const e = (evt) ? evt : window.event; // for IE
     if (e.keyCode==40 && this.searchIndex<this.SelectItemCount()) { // Down
@@ -240,6 +345,8 @@ function SearchBox(name, resultsPath, extension) {
 
   // Closes the results window.
   this.CloseResultsWindow = function() {
+    if (this.resultsPage) return; // results are shown on the page itself
+    this.shards.Cancel(this.request);
     this.DOMPopupSearchResultsWindow().style.display = 'none';
     this.DOMSearchClose().style.display = 'none';
     this.Activate(false);
@@ -250,79 +357,130 @@ function SearchBox(name, resultsPath, extension) {
   }
 
   // Performs a search.
+  // Searches for the content of the search field. Called for every change,
+  // so the shard loads of the previous search are cancelled first. Results
+  // for shards that are already loaded are shown right away.
   this.Search = function() {
-    this.keyTimeout = 0;
+    const searchValue = this.SearchValue();
+
+    if (this.resultsPage) {
+      this.resultsPage.Search(searchValue);
+      this.lastSearchValue = searchValue;
+      return;
+    }
 
-    // strip leading whitespace
-    const searchValue = this.DOMSearchField().value.replace(/^ +/, "");
+    const resultsPath = this.resultsPath;
+    const showAllLink = this.ShowAllLink();
+    this.shards.Cancel(this.request);
+    const request = this.request = this.shards.Request();
+
+    const handleResults = (data, sectionNames) => {
+      document.getElementById("Loading").style.display="none";
 
-    const code = searchValue.toLowerCase().charCodeAt(0);
-    let idxChar = searchValue.substr(0, 1).toLowerCase();
-    if ( 0xD800 <= code && code <= 0xDBFF && searchValue > 1) { // surrogate pair
-      idxChar = searchValue.substr(0, 2);
+      searchResults.Search(searchValue, resultsPath, data, sectionNames);
+      showAllLink.setAttribute('href', this.SearchPageUrl(searchValue));
+      showAllLink.parentNode.style.display = searchResults.lastMatchCount>0 ? 'block' : 'none';
+
+      this.ShowResultsWindow();
     }
 
-    let jsFile;
-    let idx = indexSectionsWithContent[this.searchIndex].indexOf(idxChar);
-    if (idx!=-1) {
-      const hexCode=idx.toString(16);
-      jsFile = this.resultsPath + indexSectionNames[this.searchIndex] + '_' + hexCode + '.js';
+    const query = searchMatcher.parseQuery(searchValue);
+    const sections = searchMatcher.querySections(query, this.searchIndex);
+    if (this.searchDescriptions) {
+      const sectionNames = sections.map((index) => indexSections.names[index]);
+      this.shards.LoadFullText((data) => handleResults(data, sectionNames), request);
+    } else {
+      this.shards.LoadQuery(sections, query, this.matchAnywhere, handleResults, request);
     }
 
-    const loadJS = function(url, impl, loc) {
-      const scriptTag = document.createElement('script');
-      scriptTag.src = url;
-      scriptTag.onload = impl;
-      scriptTag.onreadystatechange = impl;
-      loc.appendChild(scriptTag);
+    this.lastSearchValue = searchValue;
+  }
+
+  // returns the "Show all results" link below the results, creating it if needed
+  this.ShowAllLink = function() {
+    if (!document.getElementById("SRShowAll")) {
+      const showAll = document.createElement('div');
+      showAll.setAttribute('class','SRStatus');
+      showAll.innerHTML = '<a id="SRShowAll" title="Ctrl+Enter">Show all results</a>';
+      document.getElementById("SRIndex").appendChild(showAll);
     }
+    return document.getElementById("SRShowAll");
+  }
 
+  // Opens the results window below the search box, if not already open.
+  this.ShowResultsWindow = function() {
     const domPopupSearchResultsWindow = this.DOMPopupSearchResultsWindow();
-    const domSearchBox = this.DOMSearchBox();
-    const domPopupSearchResults = this.DOMPopupSearchResults();
-    const domSearchClose = this.DOMSearchClose();
-    const resultsPath = this.resultsPath;
+    if (domPopupSearchResultsWindow.style.display!='block') {
+      const domSearchBox = this.DOMSearchBox();
+      this.DOMSearchClose().style.display = 'inline-block';
+      let left = getXPos(domSearchBox) + 150;
+      let top  = getYPos(domSearchBox) + 20;
+      domPopupSearchResultsWindow.style.display = 'block';
+      left -= this.DOMPopupSearchResults().offsetWidth;
+      const maxWidth  = document.body.clientWidth;
+      const maxHeight = document.body.clientHeight;
+      let width = 300;
+      if (left<10) left=10;
+      if (width+left+8>maxWidth) width=maxWidth-left-8;
+      let height = 400;
+      if (height+top+8>maxHeight) height=maxHeight-top-8;
+      domPopupSearchResultsWindow.style.top     = top  + 'px';
+      domPopupSearchResultsWindow.style.left    = left + 'px';
+      domPopupSearchResultsWindow.style.width   = width + 'px';
+      domPopupSearchResultsWindow.style.height  = height + 'px';
+    }
+  }
 
-    const handleResults = function() {
-      document.getElementById("Loading").style.display="none";
-      if (typeof searchData !== 'undefined') {
-        createResults(resultsPath);
-        document.getElementById("NoMatches").style.display="none";
-      }
-
-      if (idx!=-1) {
-        searchResults.Search(searchValue);
-      } else { // no file with search results => force empty search results
-        searchResults.Search('====');
-      }
-
-      if (domPopupSearchResultsWindow.style.display!='block') {
-        domSearchClose.style.display = 'inline-block';
-        let left = getXPos(domSearchBox) + 150;
-        let top  = getYPos(domSearchBox) + 20;
-        domPopupSearchResultsWindow.style.display = 'block';
-        left -= domPopupSearchResults.offsetWidth;
-        const maxWidth  = document.body.clientWidth;
-        const maxHeight = document.body.clientHeight;
-        let width = 300;
-        if (left<10) left=10;
-        if (width+left+8>maxWidth) width=maxWidth-left-8;
-        let height = 400;
-        if (height+top+8>maxHeight) height=maxHeight-top-8;
-        domPopupSearchResultsWindow.style.top     = top  + 'px';
-        domPopupSearchResultsWindow.style.left    = left + 'px';
-        domPopupSearchResultsWindow.style.width   = width + 'px';
-        domPopupSearchResultsWindow.style.height  = height + 'px';
-      }
-    }
-
-    if (jsFile) {
-      loadJS(jsFile, handleResults, this.DOMPopupSearchResultsWindow());
-    } else {
-      handleResults();
+  // Shows the pinned results and the recently opened ones in the results
+  // window. Called when the search field is focused or cleared.
+  this.ShowHistory = function() {
+    if (this.resultsPage) return;
+    const matches = [];
+    const addMatch = (group, entry, i) => {
+      const local = !/^https?:\/\//.test(entry.ref);
+      matches.push({ elem: [group+'_'+i, [entry.name, [entry.ref, local, entry.scope]]],
+                     name: entry.name, group: group, query: entry.q,
+                     snippet: entry.q ? { text: 'searched for “'+entry.q+'”', positions: [] } : undefined });
+    };
+    this.history.pinned.forEach((entry,i) => addMatch('pinned', entry, i));
+    this.history.recent.forEach((entry,i) => addMatch('recent', entry, i));
+    if (matches.length==0) {
+      this.DOMPopupSearchResultsWindow().style.display = 'none';
+      this.DOMSearchClose().style.display = 'none';
+      return;
     }
+    createResults(this.resultsPath, matches);
+    searchResults.lastMatchCount = matches.length;
+
+    // add a heading in front of the pinned and the recent results
+    let lastGroup;
+    matches.forEach((match,index) => {
+      if (match.group==lastGroup) return;
+      lastGroup = match.group;
+      const heading = document.createElement('div');
+      heading.setAttribute('class','SRGroup');
+      heading.textContent = match.group=='pinned' ? 'Pinned' : 'Recent';
+      if (match.group=='recent') {
+        const clear = document.createElement('a');
+        clear.setAttribute('class','SRClear');
+        clear.setAttribute('href','javascript:searchBox.OnClearHistory()');
+        clear.textContent = 'Clear';
+        heading.appendChild(clear);
+      }
+      const result = document.getElementById('Item'+index).parentNode.parentNode;
+      result.parentNode.insertBefore(heading, result);
+    });
 
-    this.lastSearchValue = searchValue;
+    ["Loading","Searching","NoMatches"].forEach((id) => document.getElementById(id).style.display='none');
+    this.ShowAllLink().parentNode.style.display = 'none';
+    this.ShowResultsWindow();
+  }
+
+  // Called when the list of recently opened results is cleared.
+  this.OnClearHistory = function() {
+    this.history.ClearRecent();
+    this.ShowHistory();
+    this.DOMSearchField().focus();
   }
 
   // -------- Activation Functions
@@ -331,6 +489,7 @@ function SearchBox(name, resultsPath, extension) {
   // their default values if necessary.
   this.Activate = function(isActive) {
     if (isActive || // open it
+      this.resultsPage || // the search page keeps its query
       this.DOMPopupSearchResultsWindow().style.display == 'block'
     ) {
       this.DOMSearchBox().className = 'MSearchBoxActive';
@@ -347,29 +506,344 @@ function SearchBox(name, resultsPath, extension) {
 
 // -----------------------------------------------------------------------
 
-// The class that handles everything on the search results page.
-function SearchResults() {
+/* A class keeping the results opened from the search box, together with
+   the query that found them, and the results pinned by the user. Both are
+   kept in localStorage (see Cookie.readListSetting()) so they are shared by
+   all pages.
+
+   Parameters:
+   maxRecent - the number of recently opened results to keep
+*/
+function SearchHistory(maxRecent) {
+  this.maxRecent = maxRecent || 8;
+  this.maxPinned = 12;
+
+  // reads a list stored by Save(), each entry is an array of the values of fields
+  this.Load = function(cookie, fields) {
+    try {
+      const value = Cookie.readListSetting(cookie,'');
+      // lists moved over from a cookie are still URI encoded
+      const stored = JSON.parse(value.startsWith('%') ? decodeURIComponent(value) : value);
+      return stored.map((values) => Object.fromEntries(fields.map((field,i) => [field, values[i]])));
+    } catch (e) { // nothing stored or corrupt setting
+      return [];
+    }
+  }
+
+  this.Save = function(cookie, fields, entries) {
+    if (entries.length==0) {
+      Cookie.eraseListSetting(cookie);
+    } else {
+      const stored = entries.map((entry) => fields.map((field) => entry[field]));
+      Cookie.writeListSetting(cookie, JSON.stringify(stored));
+    }
+  }
+
+  this.recent = this.Load(SEARCH_HISTORY_COOKIE_NAME, ['q','name','ref','scope']);
+  this.pinned = this.Load(SEARCH_PINNED_COOKIE_NAME, ['name','ref','scope']);
+
+  // Remembers that the result { name, ref, scope } was opened after
+  // searching for q, moving it to the front if it was opened before.
+  this.AddRecent = function(q, result) {
+    this.recent = this.recent.filter((entry) => entry.ref!=result.ref);
+    this.recent.unshift({ q: q, name: result.name, ref: result.ref, scope: result.scope });
+    this.recent = this.recent.slice(0, this.maxRecent);
+    this.Save(SEARCH_HISTORY_COOKIE_NAME, ['q','name','ref','scope'], this.recent);
+  }
+
+  this.ClearRecent = function() {
+    this.recent = [];
+    this.Save(SEARCH_HISTORY_COOKIE_NAME, ['q','name','ref','scope'], this.recent);
+  }
+
+  this.IsPinned = function(ref) {
+    return this.pinned.some((entry) => entry.ref==ref);
+  }
+
+  // Pins the result { name, ref, scope } or unpins it if it is pinned
+  // already. Returns whether the result is pinned afterwards.
+  this.TogglePin = function(result) {
+    const pinned = this.IsPinned(result.ref);
+    if (pinned) {
+      this.pinned = this.pinned.filter((entry) => entry.ref!=result.ref);
+    } else {
+      this.pinned.push({ name: result.name, ref: result.ref, scope: result.scope });
+      this.pinned = this.pinned.slice(-this.maxPinned);
+    }
+    this.Save(SEARCH_PINNED_COOKIE_NAME, ['name','ref','scope'], this.pinned);
+    return !pinned;
+  }
+}
+
+// -----------------------------------------------------------------------
+
+// A class loading the search/<section>_<hex>.js shards on demand.
+// Each shard defines a global searchData array, which is kept per shard
+// so that a shard is loaded at most once per page. The Load functions take
+// an optional request from Request(); once it is passed to Cancel() its
+// callbacks are no longer called and shards only it was waiting for are
+// not loaded anymore.
+function SearchShards(resultsPath) {
+  this.resultsPath = resultsPath;
+  this.loaded      = {}; // url -> searchData of the shard
+  this.waiting     = {}; // url -> { func, request } waiting for the shard to load
+  this.queue       = []; // shards waiting for the one being loaded to finish
+  this.loading     = false; // true while a shard is being loaded
+  this.sections    = {}; // section name -> merged searchData of all shards
+  this.merged      = []; // recent results of Merge(), see there
+  this.staleIndex  = false; // true if searchdata.js misses sections found on disk
+  this.discovered  = null;  // outcome of DiscoverSections()
+  this.discovering = null;  // callbacks waiting for DiscoverSections() to finish
+
+  // returns the url of shard number idx of the section with index sectionIndex
+  this.ShardUrl = function(sectionIndex, idx) {
+    return this.resultsPath + indexSections.names[sectionIndex] + '_' + idx.toString(16) + '.js';
+  }
+
+  // Returns a new request to pass to the Load functions.
+  this.Request = function() {
+    return { cancelled: false };
+  }
 
-  function convertToId(search) {
-    let result = '';
-    for (let i=0;i<search.length;i++) {
-      const c = search.charAt(i);
-      const cn = c.charCodeAt(0);
-      if (c.match(/[a-z0-9\u0080-\uFFFF]/)) {
-        result+=c;
-      } else if (cn<16) {
-        result+="_0"+cn.toString(16);
+  // Cancels request, e.g. because the query it was made for has changed.
+  this.Cancel = function(request) {
+    if (!request) return;
+    request.cancelled = true;
+    this.queue = this.queue.filter((shard) => {
+      const callbacks = this.waiting[shard.url].filter((callback) => !callback.request ||
+                                                                     !callback.request.cancelled);
+      if (callbacks.length==0) delete this.waiting[shard.url];
+      return callbacks.length>0;
+    });
+  }
+
+  // Loads the shard at url (if not loaded before) and passes its searchData,
+  // or the global variable named variable, to func.
+  this.LoadShard = function(url, func, variable, request) {
+    if (this.loaded[url]) {
+      func(this.loaded[url]);
+    } else if (this.waiting[url]) { // already loading
+      this.waiting[url].push({ func: func, request: request });
+    } else {
+      this.waiting[url] = [{ func: func, request: request }];
+      this.queue.push({ url: url, variable: variable || 'searchData' });
+      this.LoadNext();
+    }
+  }
+
+  // Starts loading the next queued shard. All shards assign the same global
+  // variable, so they are loaded one at a time to be sure that onload reads
+  // the data of the shard that was just executed.
+  this.LoadNext = function() {
+    if (this.loading || this.queue.length==0) return;
+    const shard = this.queue.shift();
+    this.loading = true;
+    const done = (data) => {
+      this.loading = false;
+      this.loaded[shard.url] = data;
+      const callbacks = this.waiting[shard.url];
+      delete this.waiting[shard.url];
+      try {
+        callbacks.forEach((callback) => {
+          if (!callback.request || !callback.request.cancelled) callback.func(data);
+        });
+      } finally { // a failing callback must not stall the shards queued after this one
+        this.LoadNext();
+      }
+    }
+    window[shard.variable] = undefined;
+    const scriptTag = document.createElement('script');
+    scriptTag.src = shard.url;
+    // the shard assigns searchData when executed, just before onload fires
+    scriptTag.onload  = () => done(window[shard.variable] || []);
+    scriptTag.onerror = () => done([]);
+    document.getElementsByTagName('head')[0].appendChild(scriptTag);
+  }
+
+  // Concatenates the searchData of several shards. Page titles are indexed
+  // once for every word they contain, so entries with the same name and
+  // targets are only kept once. Merging the same shards again returns the
+  // same array, so that the index SearchResults keeps for it is reused.
+  this.Merge = function(shardData) {
+    const cached = this.merged.find((m) => m.parts.length==shardData.length &&
+                                           m.parts.every((part,i) => part===shardData[i]));
+    if (cached) return cached.data;
+    const seen = {};
+    const merged = [];
+    shardData.forEach((data) => {
+      data.forEach((elem) => {
+        const key = elem[1][0]+'\n'+elem[1].slice(1).map((ref) => ref[0]).join('\n');
+        if (!seen[key]) {
+          seen[key] = true;
+          merged.push(elem);
+        }
+      });
+    });
+    this.merged.push({ parts: shardData.slice(), data: merged });
+    if (this.merged.length>16) this.merged.shift();
+    return merged;
+  }
+
+  // Loads the shards with the passed indices of the section with index
+  // sectionIndex and passes their merged searchData to func.
+  this.LoadShards = function(sectionIndex, shardIndices, func, request) {
+    const shardData = [];
+    let remaining = shardIndices.length;
+    if (remaining==0) {
+      func([]);
+      return;
+    }
+    shardIndices.forEach((idx,i) => {
+      this.LoadShard(this.ShardUrl(sectionIndex, idx), (data) => {
+        shardData[i] = data;
+        if (--remaining==0) {
+          func(shardIndices.length==1 ? shardData[0] : this.Merge(shardData));
+        }
+      }, 'searchData', request);
+    });
+  }
+
+  // Returns the indices of the shards of the section with index sectionIndex
+  // holding the symbols starting with the first character of each
+  // alternative of query.
+  this.QueryShards = function(sectionIndex, query) {
+    const shardIndices = [];
+    query.groups.forEach((group) => {
+      const text = group[0].text;
+      const code = text.charCodeAt(0);
+      let idxChar = text.substr(0, 1);
+      if ( 0xD800 <= code && code <= 0xDBFF && text.length > 1) { // surrogate pair
+        idxChar = text.substr(0, 2);
+      }
+      const idx = indexSections.withContent[sectionIndex].indexOf(idxChar);
+      if (idx!=-1 && !shardIndices.includes(idx)) {
+        shardIndices.push(idx);
+      }
+    });
+    return shardIndices;
+  }
+
+  // Loads the searchData needed to evaluate query in the sections with the
+  // passed indices and passes it merged to func. If matchAnywhere is set or
+  // the query only consists of filters all shards are loaded, otherwise only
+  // the shards for the first character of each alternative.
+  this.LoadQuery = function(sectionIndices, query, matchAnywhere, func, request) {
+    sectionIndices = this.ExpandSections(sectionIndices);
+    const sectionData = [];
+    let remaining = sectionIndices.length;
+    if (remaining==0) {
+      func([]);
+      return;
+    }
+    sectionIndices.forEach((sectionIndex,i) => {
+      const collect = (data) => {
+        sectionData[i] = data;
+        if (--remaining==0) {
+          func(sectionIndices.length==1 ? sectionData[0] : this.Merge(sectionData));
+        }
+      }
+      if (matchAnywhere || query.groups.length==0) {
+        this.LoadSection(sectionIndex, collect, request);
       } else {
-        result+="_"+cn.toString(16);
+        this.LoadShards(sectionIndex, this.QueryShards(sectionIndex, query), collect, request);
       }
+    });
+  }
+
+  // Loads all shards of the section with index sectionIndex and passes
+  // their merged searchData to func.
+  this.LoadSection = function(sectionIndex, func, request) {
+    const name = indexSections.names[sectionIndex];
+    if (this.sections[name]) {
+      func(this.sections[name]);
+      return;
+    }
+    const numShards = Array.from(indexSections.withContent[sectionIndex]).length;
+    const shardIndices = Array.from({length: numShards}, (_,idx) => idx);
+    this.LoadShards(sectionIndex, shardIndices, (data) => {
+      this.sections[name] = data;
+      func(data);
+    }, request);
+  }
+
+  // Loads the full-text index written by scripts/build-search-fulltext.js
+  // and passes its searchFullText array to func (empty if it was not built).
+  this.LoadFullText = function(func, request) {
+    this.LoadShard(this.resultsPath + 'fulltext.js', func, 'searchFullText', request);
+  }
+
+  // Loads sections.js, written by scripts/build-search-sections.js, which lists
+  // the sections that actually have shards in the search directory, and
+  // offers those instead of the ones in searchdata.js. func is called with the
+  // labels of the sections that were found but are missing in searchdata.js
+  // and the names of those listed but not found. Without sections.js the
+  // sections of searchdata.js are kept.
+  this.DiscoverSections = function(func) {
+    if (this.discovered) {
+      func(this.discovered);
+      return;
+    } else if (this.discovering) { // already loading
+      this.discovering.push(func);
+      return;
+    }
+    this.discovering = [func];
+    this.LoadShard(this.resultsPath + 'sections.js', (sections) => {
+      const found = !Array.isArray(sections) && Object.keys(sections).length>0; // [] if missing
+      this.discovered = found ? this.ApplySections(sections) : { added: [], missing: [] };
+      const callbacks = this.discovering;
+      this.discovering = null;
+      callbacks.forEach((callback) => callback(this.discovered));
+    }, 'searchSections');
+  }
+
+  // Replaces the sections offered by the passed ones (name -> first
+  // characters of its shards), in the order of SEARCH_SECTIONS.
+  this.ApplySections = function(sections) {
+    const declared = Object.values(indexSections.names);
+    const labels = {};
+    for (let key in indexSections.names) labels[indexSections.names[key]] = indexSections.labels[key];
+    SEARCH_SECTIONS.forEach((section) => { if (!labels[section[0]]) labels[section[0]] = section[1]; });
+    const order = SEARCH_SECTIONS.map((section) => section[0]);
+    const rank = (name) => order.includes(name) ? order.indexOf(name) : order.length;
+    const names = Object.keys(sections).sort((a,b) => rank(a)-rank(b));
+    indexSections.names = {};
+    indexSections.labels = {};
+    indexSections.withContent = {};
+    names.forEach((name,i) => {
+      indexSections.names[i] = name;
+      indexSections.labels[i] = labels[name] || name;
+      indexSections.withContent[i] = sections[name];
+    });
+    const added = names.filter((name) => !declared.includes(name));
+    const missing = declared.filter((name) => !names.includes(name));
+    this.staleIndex = added.length>0;
+    return { added: added.map((name) => indexSections.labels[names.indexOf(name)]), missing: missing };
+  }
+
+  // If searchdata.js is out of date, the shards of the "all" section are as
+  // well, so searching it searches all other sections too.
+  this.ExpandSections = function(sectionIndices) {
+    const allIndex = Object.keys(indexSections.names).find((key) => indexSections.names[key]=='all');
+    if (!this.staleIndex || allIndex===undefined || !sectionIndices.includes(parseInt(allIndex))) {
+      return sectionIndices;
     }
-    return result;
+    return Object.keys(indexSections.names).map((key) => parseInt(key));
   }
+}
+
+// -----------------------------------------------------------------------
+
+// The class that handles everything on the search results page.
+function SearchResults() {
 
   // The number of matches from the last run of <Search()>.
   this.lastMatchCount = 0;
   this.lastKey = 0;
   this.repeatOn = false;
+  // Renders the next results of the last Search(), see createResults().
+  this.renderMore = null;
+  // searchData array -> its index, see Index()
+  this.indices = new WeakMap();
 
   // Toggles the visibility of the passed element ID.
   this.FindChildElement = function(id) {
@@ -409,12 +883,90 @@ function SearchResults() {
     }
   }
 
+  // Returns the in-memory index of a searchData array, built on first use:
+  // the entries with their decoded name and scopes, and the last query
+  // ranked against it together with the entries that matched it.
+  this.Index = function(data) {
+    let index = this.indices.get(data);
+    if (!index) {
+      index = { entries: data.map((elem) => ({
+                  elem: elem,
+                  name: searchMatcher.decodeHtml(elem[1][0]),
+                  scopes: elem[1].slice(1).map((ref) => searchMatcher.decodeHtml(ref[2])) })),
+                last: null };
+      this.indices.set(data, index);
+    }
+    return index;
+  }
+
+  // Ranks the entries of a searchData array against the passed query, see
+  // searchMatcher.parseQuery() for its syntax. Returns the matching entries
+  // ordered from best to worst match, each with the positions of the matched
+  // characters in the symbol name and, if the query only matches some of
+  // the entry's children (e.g. "HttpApiService.SendAsync" or "send smtp"),
+  // the indices of the matching children.
+  this.Rank = function(data, search) {
+    const query = searchMatcher.parseQuery(search);
+    const index = this.Index(data);
+    // while a query is typed only the entries matching its start can match
+    const entries = index.last && searchMatcher.narrows(index.last.query, query) ?
+                    index.last.entries : index.entries;
+    const matched = [];
+    const matches = [];
+    entries.forEach((entry) => {
+      const children = [];
+      let best;
+      entry.scopes.forEach((scope,c) => {
+        const m = searchMatcher.matchQuery(query, entry.name, scope);
+        if (m) {
+          children.push(c);
+          if (!best || m.score>best.score) best = m;
+        }
+      });
+      if (best) {
+        matched.push(entry);
+        matches.push({ elem: entry.elem, name: entry.name, score: best.score, positions: best.positions,
+                       children: children.length<entry.scopes.length ? children : undefined, query: search });
+      }
+    });
+    index.last = { query: query, entries: matched };
+    matches.sort((a,b) => b.score-a.score || a.name.localeCompare(b.name));
+    return matches;
+  }
+
+  // Ranks the entries of a searchFullText array (see search/fulltext.js)
+  // against the passed query, matching it against both the symbol names and
+  // their descriptions. Only entries of the sections named in sectionNames
+  // are considered, unless it contains 'all'. Each match has a snippet of
+  // the description with the hits highlighted.
+  this.RankFullText = function(data, search, sectionNames) {
+    const query = searchMatcher.parseQuery(search);
+    const allSections = !sectionNames || sectionNames.includes('all');
+    const matches = [];
+    data.forEach((entry,i) => {
+      const [name, url, scope, section, brief, details] = entry;
+      if (!allSections && !sectionNames.includes(section)) return;
+      const m = searchMatcher.matchDescription(query, name, scope, [brief, details]);
+      if (m) {
+        matches.push({ elem: ['fulltext_'+i, [name, [url, 1, scope]]], name: name, query: search,
+                       score: m.score, positions: m.positions, snippet: m.snippet });
+      }
+    });
+    matches.sort((a,b) => b.score-a.score || a.name.localeCompare(b.name));
+    return matches;
+  }
+
   // Searches for the passed string.  If there is no parameter,
   // it takes it from the URL query.
   //
+  // The entries of data (the last loaded searchData by default) that match
+  // are ranked and rendered into the result list using resultsPath. If
+  // sectionNames is passed, data is a searchFullText array instead, see
+  // RankFullText().
+  //
   // Always returns true, since other documents may try to call it
   // and that may or may not be possible.
-  this.Search = function(search) {
+  this.Search = function(search, resultsPath, data, sectionNames) {
     if (!search) { // get search word from URL
       search = window.location.search;
       search = search.substring(1);  // Remove the leading '?'
@@ -423,36 +975,20 @@ function SearchResults() {
 
     search = search.replace(/^ +/, ""); // strip leading spaces
     search = search.replace(/ +$/, ""); // strip trailing spaces
-    search = search.toLowerCase();
-    search = convertToId(search);
-
-    const resultRows = document.getElementsByTagName("div");
-    let matches = 0;
-
-    let i = 0;
-    while (i < resultRows.length) {
-      const row = resultRows.item(i);
-      if (row.className == "SRResult") {
-        let rowMatchName = row.id.toLowerCase();
-        rowMatchName = rowMatchName.replace(/^sr\d*_/, ''); // strip 'sr123_'
-
-        if (search.length<=rowMatchName.length &&
-          rowMatchName.substr(0, search.length)==search) {
-          row.style.display = 'block';
-          matches++;
-        } else {
-          row.style.display = 'none';
-        }
-      }
-      i++;
+
+    if (data===undefined) {
+      data = typeof searchData!=='undefined' ? searchData : [];
     }
+    const matches = sectionNames ? this.RankFullText(data, search, sectionNames) : this.Rank(data, search);
+    createResults(resultsPath || '', matches);
+
     document.getElementById("Searching").style.display='none';
-    if (matches == 0) { // no results
+    if (matches.length == 0) { // no results
       document.getElementById("NoMatches").style.display='block';
     } else { // at least one result
       document.getElementById("NoMatches").style.display='none';
     }
-    this.lastMatchCount = matches;
+    this.lastMatchCount = matches.length;
     return true;
   }
 
@@ -465,6 +1001,7 @@ function SearchResults() {
       if (focusItem && focusItem.parentNode.parentNode.style.display=='block') {
         break;
       } else if (!focusItem) { // last element
+        if (this.renderMore && this.renderMore()) continue; // unless not rendered yet
         break;
       }
       focusItem=null;
@@ -508,6 +1045,7 @@ function SearchResults() {
   this.Nav = function(evt,itemIndex) {
     const e  = (evt) ? evt : window.event; // for IE
     if (e.keyCode==13) return true;
+    if (e.keyCode==9) return true; // on to the pin button of the result
     if (!this.ProcessKeys(e)) return false;
 
     if (this.lastKey==38) { // Up
@@ -565,6 +1103,7 @@ function SearchResults() {
   this.NavChild = function(evt,itemIndex,childIndex) {
     const e  = (evt) ? evt : window.event; // for IE
     if (e.keyCode==13) return true;
+    if (e.keyCode==9) return true; // on to the pin button of the result
     if (!this.ProcessKeys(e)) return false;
 
     if (this.lastKey==38) { // Up
@@ -594,7 +1133,413 @@ function SearchResults() {
   }
 }
 
-function createResults(resultsPath) {
+// -----------------------------------------------------------------------
+
+// Helpers to match search terms against symbol names.
+const searchMatcher = {
+  decodeHtml : function(html) {
+    const txt = document.createElement("textarea");
+    txt.innerHTML = html;
+    return txt.value;
+  },
+
+  // returns the positions in text where a new word starts, i.e. the start
+  // of the text, a capital in a CamelCase name, or a character following
+  // a separator like '.', '_' or ' '.
+  wordBoundaries : function(text) {
+    const isLower = (c) => c!=c.toUpperCase();
+    const isUpper = (c) => c!=c.toLowerCase() && c==c.toUpperCase();
+    const isAlnum = (c) => /[A-Za-z0-9\u0080-\uFFFF]/.test(c);
+    const isDigit = (c) => /[0-9]/.test(c);
+    const boundaries = [];
+    for (let i=0; i<text.length; i++) {
+      const c = text.charAt(i), p = text.charAt(i-1), n = text.charAt(i+1);
+      if (!isAlnum(c)) continue;
+      if (i==0 || !isAlnum(p) ||
+          (isUpper(c) && (isLower(p) || isDigit(p))) ||   // fooBar, foo2Bar
+          (isUpper(c) && isUpper(p) && isLower(n)) ||     // HTTPServer
+          (isDigit(c) && !isDigit(p))) {                  // Aes256
+        boundaries.push(i);
+      }
+    }
+    return boundaries;
+  },
+
+  // matches all characters of term as prefixes of consecutive words of text,
+  // e.g. "hapis" in HttpApiService. Returns the matched positions or null.
+  matchWordPrefixes : function(term, lower, boundaries) {
+    const failed = {};
+    const match = function(ti, pos) {
+      if (ti==term.length) return [];
+      const key = ti+':'+pos;
+      if (failed[key]) return null;
+      if (pos>0 && pos<lower.length && lower.charAt(pos)==term.charAt(ti)) { // continue word
+        const rest = match(ti+1, pos+1);
+        if (rest) return [pos].concat(rest);
+      }
+      for (const b of boundaries) { // or jump to the start of a later word
+        if (b>=pos && (b>pos || pos==0) && lower.charAt(b)==term.charAt(ti)) {
+          const rest = match(ti+1, b+1);
+          if (rest) return [b].concat(rest);
+        }
+      }
+      failed[key] = true;
+      return null;
+    }
+    return match(0, 0);
+  },
+
+  // Scores how well the lower case term matches text. Returns null if it
+  // does not match, otherwise the score (higher is better) and the positions
+  // of the matched characters. Prefix matches rank above word boundary
+  // matches, which rank above substring matches, which rank above
+  // subsequence matches. Within a category shorter names rank higher.
+  // If exact is set, the term has to appear as is in text.
+  matchTerm : function(term, text, exact) {
+    const lower = text.toLowerCase();
+    const range = (start,len) => Array.from({length: len}, (_,i) => start+i);
+    const lengthPenalty = Math.min(lower.length, 200);
+    if (lower.startsWith(term)) { // prefix
+      return { score: 4000-lengthPenalty, positions: range(0, term.length) };
+    }
+    const boundaries = this.wordBoundaries(text);
+    let substring = -1;
+    for (let pos=lower.indexOf(term); pos!=-1; pos=lower.indexOf(term, pos+1)) {
+      if (boundaries.includes(pos)) { // substring starting at a word boundary
+        return { score: 3000-lengthPenalty, positions: range(pos, term.length) };
+      }
+      if (substring==-1) substring = pos;
+    }
+    const prefixes = !exact && this.matchWordPrefixes(term, lower, boundaries);
+    if (prefixes) { // prefixes of consecutive words, e.g. "hapis"
+      return { score: 2500-lengthPenalty, positions: prefixes };
+    }
+    if (term.length<2) return null; // single characters only match words
+    if (substring!=-1) { // substring
+      return { score: 2000-lengthPenalty, positions: range(substring, term.length) };
+    }
+    if (exact) return null;
+    const positions = [];
+    let pos = 0;
+    for (let i=0; i<term.length; i++) { // subsequence
+      pos = lower.indexOf(term.charAt(i), pos);
+      if (pos==-1) return null;
+      positions.push(pos++);
+    }
+    const gaps = positions[positions.length-1]-positions[0]-term.length+1;
+    return { score: 1000-Math.min(gaps*10, 500)-lengthPenalty, positions: positions };
+  },
+
+  // Splits a search query into terms. Terms separated by spaces must all
+  // match (AND), "OR" separates alternatives, "quoted text" is matched as a
+  // phrase and a leading '-' excludes entries matching the term.
+  // Tokens like kind:property, ns:Toolbox.Core.Options, in:HttpApiService
+  // and tests:false are filters, see matchFilters() and querySections().
+  // Returns { groups: [[term,...],...], excluded: [term,...], filters: [filter,...] }.
+  parseQuery : function(search) {
+    const groups = [[]];
+    const excluded = [];
+    const filters = [];
+    const re = /(-?)(?:"([^"]*)"?|(\S+))/g;
+    let m;
+    while ((m = re.exec(search))!==null) {
+      const negate = m[1]=='-';
+      const phrase = m[2]!==undefined;
+      let text = phrase ? m[2] : m[3];
+      if (!negate && !phrase && text=='OR') {
+        groups.push([]);
+        continue;
+      }
+      const filter = !phrase && text.match(/^(kind|ns|in|tests):(.+)$/i);
+      if (filter) {
+        filters.push({ key: filter[1].toLowerCase(), negate: negate,
+                       value: filter[2].toLowerCase().replace(/::/g, '.') });
+        continue;
+      }
+      text = text.toLowerCase().replace(/::/g, '.').replace(/\s+/g, ' ').trim();
+      if (text!='') {
+        const term = { text: text, phrase: phrase, qualified: !phrase && text.indexOf('.')!=-1 };
+        if (negate) {
+          excluded.push(term);
+        } else {
+          groups[groups.length-1].push(term);
+        }
+      }
+    }
+    return { groups: groups.filter((group) => group.length>0), excluded: excluded, filters: filters };
+  },
+
+  // maps the values accepted by the kind: filter to search section names
+  kindAliases : {
+    class: 'classes', interface: 'classes', struct: 'classes', type: 'classes',
+    function: 'functions', method: 'functions', func: 'functions',
+    property: 'properties', prop: 'properties',
+    variable: 'variables', field: 'variables', var: 'variables',
+    enum: 'enums', enumvalue: 'enumvalues', typedef: 'typedefs',
+    namespace: 'namespaces', file: 'files', page: 'pages', event: 'events',
+    define: 'defines', macro: 'defines', group: 'groups', module: 'modules',
+    concept: 'concepts',
+  },
+
+  // returns the index of the search section for a kind: filter value, or -1
+  sectionIndex : function(kind) {
+    const names = [this.kindAliases[kind], kind, kind+'s'];
+    for (let key in indexSections.names) {
+      if (names.includes(indexSections.names[key])) return parseInt(key);
+    }
+    return -1;
+  },
+
+  // Returns the indices of the sections to search for query. These are the
+  // sections named by kind: filters, all sections except the excluded ones
+  // for -kind: filters, or the selected section otherwise.
+  querySections : function(query, selectedIndex) {
+    const kinds = query.filters.filter((filter) => filter.key=='kind');
+    const included = kinds.filter((filter) => !filter.negate).map((filter) => this.sectionIndex(filter.value));
+    const excluded = kinds.filter((filter) => filter.negate).map((filter) => this.sectionIndex(filter.value));
+    if (included.length>0) { // unknown kinds do not match anything
+      return included.filter((index,i) => index!=-1 && included.indexOf(index)==i && !excluded.includes(index));
+    } else if (excluded.length>0) {
+      const sections = [];
+      for (let key in indexSections.names) {
+        const index = parseInt(key);
+        if (indexSections.names[key]!='all' && !excluded.includes(index)) sections.push(index);
+      }
+      return sections;
+    }
+    return [selectedIndex];
+  },
+
+  // Checks the ns:, in: and tests: filters against the scope of a symbol.
+  // ns: matches whole segments anywhere in the scope (ns:Options matches
+  // Toolbox.Core.Options), in: matches the innermost segments of the scope
+  // (in:HttpApiService matches its members) and tests:false drops symbols
+  // within *Tests classes or namespaces.
+  matchFilters : function(filters, name, scope) {
+    const fullName = this.qualifiedName(scope, name);
+    const scopeName = fullName.substring(0, fullName.length-name.length).replace(/\.$/, '').toLowerCase();
+    const segments = scopeName.split('.').concat(name.toLowerCase());
+    return filters.every((filter) => {
+      let match;
+      if (filter.key=='ns') {
+        match = ('.'+scopeName+'.').indexOf('.'+filter.value+'.')!=-1;
+      } else if (filter.key=='in') {
+        match = scopeName==filter.value || scopeName.endsWith('.'+filter.value);
+      } else if (filter.key=='tests') {
+        const isTest = segments.some((segment) => segment.endsWith('tests'));
+        match = ['false','no','0','off'].includes(filter.value) ? !isTest : isTest;
+      } else { // kind: is handled by querySections()
+        return true;
+      }
+      return filter.negate ? !match : match;
+    });
+  },
+
+  // Matches a single query term against a symbol name and its scope.
+  // Qualified terms like "httpapiservice.sendasync" are matched against the
+  // full name, phrases and exclusions need to match exactly, and matches in
+  // the scope rank below matches in the name.
+  matchQueryTerm : function(term, name, scope, exact) {
+    const fullName = this.qualifiedName(scope, name);
+    const offset = fullName.length-name.length;
+    exact = exact || term.phrase;
+    if (term.qualified) {
+      const m = this.matchTerm(term.text, fullName, exact);
+      return m && { score: m.score,
+                    positions: m.positions.filter((p) => p>=offset).map((p) => p-offset) };
+    }
+    let m = this.matchTerm(term.text, name, exact);
+    if (!m && term.phrase && term.text.indexOf(' ')!=-1) { // "send async" -> SendAsync
+      m = this.matchTerm(term.text.replace(/ /g, ''), name.replace(/ /g, ''), true);
+      if (m) m.positions = [];
+    }
+    if (!m && offset>0) {
+      m = this.matchTerm(term.text, fullName.substring(0, offset), true);
+      if (m) m = { score: m.score/2, positions: [] };
+    }
+    return m;
+  },
+
+  // Matches a query from parseQuery() against a symbol name and its scope.
+  // A query consisting only of filters matches every symbol passing them.
+  // Returns the score and the matched positions in the name of the best
+  // matching alternative, or null if there is no match.
+  matchQuery : function(query, name, scope) {
+    if (query.excluded.some((term) => this.matchQueryTerm(term, name, scope, true)) ||
+        !this.matchFilters(query.filters, name, scope)) {
+      return null;
+    }
+    if (query.groups.length==0 && query.filters.length>0) { // only filters
+      return { score: 0, positions: [] };
+    }
+    let best = null;
+    query.groups.forEach((group) => {
+      let score = 0;
+      let positions = [];
+      for (const term of group) {
+        const m = this.matchQueryTerm(term, name, scope, false);
+        if (!m) return;
+        score += m.score;
+        positions = positions.concat(m.positions);
+      }
+      if (!best || score>best.score) {
+        best = { score: score, positions: [...new Set(positions)].sort((a,b) => a-b) };
+      }
+    });
+    return best;
+  },
+
+  // Returns true if every symbol matching the query next also matches the
+  // query prev, as it is the case when the terms of a plain query are typed.
+  // Single characters only match at the start of a word, so they do not
+  // narrow the matches of longer terms.
+  narrows : function(prev, next) {
+    const plain = (query) => query.groups.length==1 && query.excluded.length==0 && query.filters.length==0;
+    if (!plain(prev) || !plain(next) || prev.groups[0].length>next.groups[0].length) {
+      return false;
+    }
+    return prev.groups[0].every((term,i) => {
+      const nextTerm = next.groups[0][i];
+      return !term.phrase && !nextTerm.phrase && term.qualified==nextTerm.qualified &&
+             term.text.length>=2 && nextTerm.text.startsWith(term.text);
+    });
+  },
+
+  // returns the position of the first occurrence of term in the lower case
+  // text lower, preferring occurrences at the start of a word. Terms shorter
+  // than three characters only match at the start of a word.
+  findWord : function(term, lower) {
+    const isWordChar = (c) => /[\p{L}\p{N}_]/u.test(c);
+    let substring = -1;
+    for (let pos=lower.indexOf(term); pos!=-1; pos=lower.indexOf(term, pos+1)) {
+      if (pos==0 || !isWordChar(lower.charAt(pos-1))) return pos;
+      if (substring==-1 && term.length>=3) substring = pos;
+    }
+    return substring;
+  },
+
+  // Matches a query from parseQuery() against a symbol name, its scope and
+  // its descriptions (brief first). Every term of an alternative has to
+  // match either the name or one of the descriptions, hits in the name rank
+  // highest and hits in the brief description above the detailed one.
+  // The name has to contain a term as is, subsequences like "retry" in
+  // GetDirectoryPath would outrank the symbols whose descriptions mention it.
+  // Returns the score, the matched positions in the name and a snippet
+  // { text, positions } of the description with the most hits, or null.
+  matchDescription : function(query, name, scope, descriptions) {
+    const lowers = descriptions.map((text) => text.toLowerCase());
+    const find = (term) => {
+      for (let d=0; d<lowers.length; d++) {
+        const pos = this.findWord(term.text, lowers[d]);
+        if (pos!=-1) return { description: d, pos: pos };
+      }
+      return null;
+    };
+    if (query.excluded.some((term) => this.matchQueryTerm(term, name, scope, true) || find(term)) ||
+        !this.matchFilters(query.filters, name, scope)) {
+      return null;
+    }
+    let best = null;
+    query.groups.forEach((group) => {
+      let score = 0;
+      let positions = [];
+      const terms = [];
+      for (const term of group) {
+        const m = this.matchQueryTerm(term, name, scope, true);
+        const hit = find(term);
+        if (!m && !hit) return;
+        if (m) {
+          score += m.score;
+          positions = positions.concat(m.positions);
+        }
+        if (hit) {
+          score += (hit.description==0 ? 600 : 300) + (lowers[hit.description].charAt(hit.pos-1).match(/\w/) ? 0 : 200);
+          terms.push(term.text);
+        }
+      }
+      if (!best || score>best.score) {
+        best = { score: score, positions: [...new Set(positions)].sort((a,b) => a-b), terms: terms };
+      }
+    });
+    if (!best) {
+      if (query.groups.length>0 || query.filters.length==0) return null;
+      best = { score: 0, positions: [], terms: [] }; // only filters
+    }
+    const snippet = this.snippet(descriptions, lowers, best.terms);
+    return { score: best.score, positions: best.positions, snippet: snippet };
+  },
+
+  // Returns an excerpt of about length characters of the description
+  // containing most of terms, starting a little before the first hit,
+  // together with the positions of all hits within the excerpt.
+  snippet : function(descriptions, lowers, terms, length) {
+    length = length || 160;
+    let d = 0;
+    let hits = [];
+    lowers.forEach((lower,i) => {
+      const found = [];
+      terms.forEach((term) => {
+        for (let pos=this.findWord(term, lower); pos!=-1; pos=lower.indexOf(term, pos+term.length)) {
+          found.push([pos, term.length]);
+        }
+      });
+      if (found.length>hits.length) { d = i; hits = found; }
+    });
+    const text = descriptions[d] || descriptions.find((text) => text!='') || '';
+    hits.sort((a,b) => a[0]-b[0]);
+    let start = hits.length>0 ? Math.max(0, hits[0][0]-40) : 0;
+    if (start>0) { // start at a word
+      const space = text.indexOf(' ', start);
+      start = space!=-1 && space<hits[0][0] ? space+1 : start;
+    }
+    let end = Math.min(text.length, start+length);
+    if (end<text.length) { // end at a word
+      const space = text.lastIndexOf(' ', end);
+      if (space>start) end = space;
+    }
+    const prefix = start>0 ? '\u2026' : '';
+    const positions = [];
+    hits.forEach(([pos,len]) => {
+      for (let p=Math.max(pos, start); p<Math.min(pos+len, end); p++) {
+        positions.push(p-start+prefix.length);
+      }
+    });
+    return { text: prefix+text.substring(start, end)+(end<text.length ? '\u2026' : ''),
+             positions: [...new Set(positions)].sort((a,b) => a-b) };
+  },
+
+  // returns the dot separated name of a symbol given its scope as found in
+  // searchData, e.g. "Toolbox::Core::Options::ApiOptions" and "Timeout" ->
+  // "Toolbox.Core.Options.ApiOptions.Timeout"
+  qualifiedName : function(scope, name) {
+    scope = scope.replace(/::/g, '.');
+    if (scope=='') return name;
+    if (scope==name || scope.endsWith('.'+name)) return scope;
+    return scope+'.'+name;
+  },
+
+  // appends text to elem, wrapping the characters at the passed positions
+  // in SRMatch spans.
+  appendHighlighted : function(elem, text, positions) {
+    let last = 0;
+    for (let i=0; i<positions.length;) {
+      const start = positions[i];
+      let end = start+1;
+      while (++i<positions.length && positions[i]==end) end++;
+      if (start>last) elem.appendChild(document.createTextNode(text.substring(last, start)));
+      const span = document.createElement('span');
+      span.className = 'SRMatch';
+      span.textContent = text.substring(start, end);
+      elem.appendChild(span);
+      last = end;
+    }
+    if (last<text.length) elem.appendChild(document.createTextNode(text.substring(last)));
+  },
+};
+
+// Builds the result list from the ranked matches returned by
+// SearchResults.Rank(), highlighting the matched characters of each symbol.
+function createResults(resultsPath, matches) {
 
   function setKeyActions(elem,action) {
     elem.setAttribute('onkeydown',action);
@@ -607,85 +1552,718 @@ function createResults(resultsPath) {
     elem.setAttribute('className',attr);
   }
 
-  const decodeHtml = (html) => {
-    const txt = document.createElement("textarea");
-    txt.innerHTML = html;
-    return txt.value;
-  };
+  function setLink(link,ref,match) {
+    if (ref[0].startsWith('http://') || ref[0].startsWith('https://')) { // absolute path
+      link.setAttribute('href',ref[0]);
+    } else { // relative path
+      link.setAttribute('href',resultsPath+ref[0]);
+    }
+    link.setAttribute('onclick','searchBox.CloseResultsWindow()');
+    if (ref[1]) {
+     link.setAttribute('target','_parent');
+    } else {
+     link.setAttribute('target','_blank');
+    }
+    link.addEventListener('click', () => {
+      searchBox.history.AddRecent(match.query || '', { name: match.name, ref: ref[0], scope: ref[2] });
+    });
+  }
 
-  const results = document.getElementById("SRResults");
-  results.innerHTML = '';
-  searchData.forEach((elem,index) => {
+  // returns a toggle button to pin the result, which shows it when the search field is empty
+  function createPin(ref,match) {
+    const pin = document.createElement('button');
+    setClassAttr(pin,'SRPin');
+    pin.setAttribute('type','button');
+    pin.setAttribute('title','Pin this result');
+    pin.setAttribute('aria-label','Pin '+match.name);
+    const show = (pinned) => {
+      pin.setAttribute('aria-pressed',pinned ? 'true' : 'false');
+      pin.innerHTML = pinned ? '&#9733;' : '&#9734;';
+    };
+    show(searchBox.history.IsPinned(ref[0]));
+    pin.addEventListener('click', () => {
+      show(searchBox.history.TogglePin({ name: match.name, ref: ref[0], scope: ref[2] }));
+    });
+    return pin;
+  }
+
+  function renderMatch(match,index) {
+    const elem = match.elem;
     const id = elem[0];
+    const refs = match.children ? match.children.map(c => elem[1][c+1]) : elem[1].slice(1);
     const srResult = document.createElement('div');
     srResult.setAttribute('id','SR_'+id);
     setClassAttr(srResult,'SRResult');
+    srResult.style.display = 'block';
     const srEntry = document.createElement('div');
     setClassAttr(srEntry,'SREntry');
     const srLink = document.createElement('a');
     srLink.setAttribute('id','Item'+index);
     setKeyActions(srLink,'return searchResults.Nav(event,'+index+')');
     setClassAttr(srLink,'SRSymbol');
-    srLink.innerHTML = decodeHtml(elem[1][0]);
+    searchMatcher.appendHighlighted(srLink, match.name, match.positions || []);
     srEntry.appendChild(srLink);
-    if (elem[1].length==2) { // single result
-      if (elem[1][1][0].startsWith('http://') || elem[1][1][0].startsWith('https://')) { // absolute path
-        srLink.setAttribute('href',elem[1][1][0]);
-      } else { // relative path
-        srLink.setAttribute('href',resultsPath+elem[1][1][0]);
-      }
-      srLink.setAttribute('onclick','searchBox.CloseResultsWindow()');
-      if (elem[1][1][1]) {
-       srLink.setAttribute('target','_parent');
-      } else {
-       srLink.setAttribute('target','_blank');
-      }
+    if (refs.length==1) { // single result
+      setLink(srLink,refs[0],match);
+      srEntry.appendChild(createPin(refs[0],match));
       const srScope = document.createElement('span');
       setClassAttr(srScope,'SRScope');
-      srScope.innerHTML = decodeHtml(elem[1][1][2]);
+      srScope.innerHTML = searchMatcher.decodeHtml(refs[0][2]);
       srEntry.appendChild(srScope);
+      if (match.snippet && match.snippet.text!='') { // description search
+        const srSnippet = document.createElement('div');
+        setClassAttr(srSnippet,'SRSnippet');
+        searchMatcher.appendHighlighted(srSnippet, match.snippet.text, match.snippet.positions);
+        srEntry.appendChild(srSnippet);
+      }
     } else { // multiple results
       srLink.setAttribute('href','javascript:searchResults.Toggle("SR_'+id+'")');
       const srChildren = document.createElement('div');
       setClassAttr(srChildren,'SRChildren');
-      for (let c=0; c<elem[1].length-1; c++) {
+      refs.forEach((ref,c) => {
+        const srRow = document.createElement('div');
+        setClassAttr(srRow,'SRChild');
         const srChild = document.createElement('a');
         srChild.setAttribute('id','Item'+index+'_c'+c);
         setKeyActions(srChild,'return searchResults.NavChild(event,'+index+','+c+')');
         setClassAttr(srChild,'SRScope');
-        if (elem[1][c+1][0].startsWith('http://') || elem[1][c+1][0].startsWith('https://')) { // absolute path
-          srChild.setAttribute('href',elem[1][c+1][0]);
-        } else { // relative path
-          srChild.setAttribute('href',resultsPath+elem[1][c+1][0]);
-        }
-        srChild.setAttribute('onclick','searchBox.CloseResultsWindow()');
-        if (elem[1][c+1][1]) {
-         srChild.setAttribute('target','_parent');
-        } else {
-         srChild.setAttribute('target','_blank');
-        }
-        srChild.innerHTML = decodeHtml(elem[1][c+1][2]);
-        srChildren.appendChild(srChild);
-      }
+        srChild.innerHTML = searchMatcher.decodeHtml(ref[2]);
+        setLink(srChild,ref,match);
+        srRow.appendChild(srChild);
+        srRow.appendChild(createPin(ref,match));
+        srChildren.appendChild(srRow);
+      });
       srEntry.appendChild(srChildren);
     }
     srResult.appendChild(srEntry);
     results.appendChild(srResult);
-  });
+  }
+
+  // Long result lists are rendered in chunks, the next one when the results
+  // window is scrolled near its end or the keyboard navigation reaches it.
+  const chunkSize = 100;
+  const results = document.getElementById("SRResults");
+  results.innerHTML = '';
+  let rendered = 0;
+  const renderMore = () => { // returns false if all results are rendered
+    const end = Math.min(rendered+chunkSize, matches.length);
+    if (rendered==end) return false;
+    for (; rendered<end; rendered++) renderMatch(matches[rendered], rendered);
+    return true;
+  };
+  renderMore();
+  searchResults.renderMore = renderMore;
+  const resultsWindow = document.getElementById("MSearchResultsWindow");
+  if (resultsWindow) {
+    resultsWindow.onscroll = () => {
+      if (resultsWindow.scrollTop+resultsWindow.clientHeight>resultsWindow.scrollHeight-200) renderMore();
+    };
+  }
+}
+
+// -----------------------------------------------------------------------
+
+/* A class showing the results for the query in the URL of the standalone
+   search page, search.html?q=...&kind=...&page=..., grouped by section and
+   split into pages of pageSize results. Searches done with the search box
+   on that page replace the results and are added to the browser history,
+   one entry for the keystrokes typed less than typingPause ms apart.
+
+   Parameters:
+   searchBox   - the SearchBox of the page, whose results are redirected here
+   resultsPath - path to use for external files
+*/
+function SearchPage(searchBox, resultsPath) {
+  this.searchBox   = searchBox;
+  this.resultsPath = resultsPath;
+  this.pageSize    = 50;
+  this.title       = document.title;
+  this.generation  = 0; // incremented for every search, to drop stale results
+  this.request     = null; // the shard loads of the running search
+  this.typingPause = 1000;
+  this.lastTyped   = 0; // time of the last search typed in the search box
+
+  searchBox.resultsPage = this;
+
+  // returns the query, section, page number and search mode in the URL
+  this.Params = function() {
+    const params = new URLSearchParams(window.location.search);
+    return { q: (params.get('q') || '').replace(/\s+/g, ' ').trim(),
+             kind: (params.get('kind') || '').toLowerCase(),
+             page: Math.max(1, parseInt(params.get('page')) || 1),
+             descriptions: params.get('descriptions')=='1' };
+  }
+
+  // returns the URL of the search page showing params
+  this.Url = function(params) {
+    const search = new URLSearchParams();
+    if (params.q) search.set('q', params.q);
+    if (params.kind) search.set('kind', params.kind);
+    if (params.page>1) search.set('page', params.page);
+    if (params.descriptions) search.set('descriptions', '1');
+    const query = search.toString();
+    return window.location.pathname + (query ? '?'+query : '');
+  }
+
+  // returns the name of the section selected by a kind parameter, e.g.
+  // "property" -> "properties", or 'all' if there is none
+  this.SectionName = function(kind) {
+    return !kind ? 'all' : searchMatcher.kindAliases[kind] || kind;
+  }
+
+  // returns the label of the section selected in the URL, as shown in the
+  // selection window of the search box
+  this.SelectedLabel = function() {
+    const name = this.SectionName(this.Params().kind);
+    const section = SEARCH_SECTIONS.find((section) => section[0]==name);
+    return section ? section[1] : 'All';
+  }
+
+  // shows the results for params and adds them to the browser history, or
+  // updates its current entry if replace is set
+  this.Navigate = function(params, replace) {
+    const url = this.Url(params);
+    if (url!=window.location.pathname+window.location.search) {
+      try {
+        if (replace) {
+          history.replaceState(params, '', url);
+        } else {
+          history.pushState(params, '', url);
+        }
+      } catch (e) { // browsers may refuse to change the query of file:// URLs
+        if (!replace) {
+          window.location.href = url;
+          return;
+        }
+      }
+    }
+    this.Render(params);
+  }
+
+  // Called by the search box when its value or selected section changes.
+  this.Search = function(searchValue) {
+    const current = this.Params();
+    const section = indexSections.names[this.searchBox.searchIndex];
+    const kind = section && section!='all' ? section : '';
+    const descriptions = this.searchBox.searchDescriptions;
+    if (searchValue==current.q && this.SectionName(kind)==this.SectionName(current.kind) &&
+        descriptions==current.descriptions) {
+      return; // already shown
+    }
+    const now = Date.now();
+    this.Navigate({ q: searchValue, kind: kind, page: 1, descriptions: descriptions },
+                  now-this.lastTyped<this.typingPause);
+    this.lastTyped = now;
+  }
+
+  // Returns the indices of the sections to search. The 'all' section
+  // combines the others, so it is replaced by them to group the results.
+  this.Sections = function(query, kind) {
+    let sections;
+    if (kind) {
+      const index = searchMatcher.sectionIndex(kind);
+      sections = index==-1 ? [] : [index];
+    } else {
+      sections = searchMatcher.querySections(query, 0);
+    }
+    if (sections.length==1 && indexSections.names[sections[0]]=='all') {
+      sections = [];
+      for (let key in indexSections.names) {
+        if (indexSections.names[key]!='all') sections.push(parseInt(key));
+      }
+    }
+    return sections;
+  }
+
+  // Searches all sections selected by params and shows the results.
+  this.Render = function(params) {
+    const generation = ++this.generation;
+    const field = this.searchBox.DOMSearchField();
+    if (field && this.searchBox.SearchValue()!=params.q) field.value = params.q;
+    this.searchBox.lastSearchValue = params.q;
+    this.searchBox.searchDescriptions = params.descriptions; // as in the URL, the setting is left as is
+    this.searchBox.OptionsSet();
+    document.title = params.q ? this.title+': '+params.q : this.title;
+
+    if (!params.q) {
+      this.searchBox.shards.Cancel(this.request);
+      document.getElementById("SRResults").innerHTML = '';
+      document.getElementById("SRPages").innerHTML = '';
+      document.getElementById("NoMatches").style.display = 'none';
+      document.getElementById("Searching").style.display = 'none';
+      document.getElementById("SRSummary").textContent = 'Type in the search box to find symbols and pages.';
+      return;
+    }
+    // the previous results stay until the new ones are ranked
+    document.getElementById("Searching").style.display = 'block';
+
+    const query = searchMatcher.parseQuery(params.q);
+    const sections = this.Sections(query, params.kind);
+    this.searchBox.shards.Cancel(this.request);
+    const request = this.request = this.searchBox.shards.Request();
+    const groups = [];
+    let pending = sections.length;
+    const done = () => {
+      if (generation==this.generation) {
+        this.Show(params, groups.filter((group) => group.matches.length>0));
+      }
+    };
+    if (pending==0) { // e.g. an unknown kind: filter
+      done();
+      return;
+    }
+    if (params.descriptions) { // one full-text index for all sections, like in the search box
+      this.searchBox.shards.LoadFullText((data) => {
+        sections.forEach((sectionIndex,i) => {
+          const matches = searchResults.RankFullText(data, params.q, [indexSections.names[sectionIndex]]);
+          groups[i] = { section: sectionIndex, matches: matches };
+        });
+        done();
+      }, request);
+      return;
+    }
+    sections.forEach((sectionIndex,i) => {
+      this.searchBox.shards.LoadQuery([sectionIndex], query, this.searchBox.matchAnywhere, (data) => {
+        groups[i] = { section: sectionIndex, matches: searchResults.Rank(data, params.q) };
+        if (--pending==0) done();
+      }, request);
+    });
+  }
+
+  // Renders the page params.page of the ranked matches of each section.
+  this.Show = function(params, groups) {
+    const matches = [];
+    groups.forEach((group) => {
+      group.matches.forEach((match) => {
+        // symbol ids are only unique within a section
+        matches.push(Object.assign({}, match, {
+          group: group,
+          elem: [indexSections.names[group.section]+'_'+match.elem[0], match.elem[1]] }));
+      });
+    });
+    const numPages = Math.max(1, Math.ceil(matches.length/this.pageSize));
+    const page = Math.min(params.page, numPages);
+    const pageMatches = matches.slice((page-1)*this.pageSize, page*this.pageSize);
+
+    createResults(this.resultsPath, pageMatches);
+    searchResults.lastMatchCount = pageMatches.length;
+    document.getElementById("SRPages").innerHTML = '';
+    document.getElementById("SRSummary").textContent = '';
+
+    // add a heading in front of the first result of each section
+    let lastGroup;
+    pageMatches.forEach((match,index) => {
+      if (match.group===lastGroup) return;
+      lastGroup = match.group;
+      const name = indexSections.names[match.group.section];
+      const heading = document.createElement('div');
+      heading.setAttribute('class','SRGroup');
+      const link = document.createElement('a');
+      link.textContent = indexSections.labels[match.group.section];
+      this.SetPageLink(link, { q: params.q, kind: name, page: 1, descriptions: params.descriptions });
+      heading.appendChild(link);
+      heading.appendChild(document.createTextNode(' ('+match.group.matches.length+')'));
+      const result = document.getElementById('Item'+index).parentNode.parentNode;
+      result.parentNode.insertBefore(heading, result);
+    });
+
+    document.getElementById("Searching").style.display = 'none';
+    document.getElementById("NoMatches").style.display = matches.length==0 ? 'block' : 'none';
+    if (matches.length>0) {
+      const first = (page-1)*this.pageSize+1;
+      document.getElementById("SRSummary").textContent =
+        (matches.length==1 ? '1 result' : matches.length+' results')+' for “'+params.q+'”'+
+        (numPages>1 ? ', showing '+first+'–'+(first+pageMatches.length-1) : '');
+    }
+
+    // pagination
+    const pages = document.getElementById("SRPages");
+    if (numPages>1) {
+      const addLink = (text, p, current) => {
+        const link = document.createElement(current ? 'b' : 'a');
+        link.textContent = text;
+        if (!current) this.SetPageLink(link, { q: params.q, kind: params.kind, page: p, descriptions: params.descriptions });
+        pages.appendChild(link);
+        pages.appendChild(document.createTextNode(' '));
+      };
+      if (page>1) addLink('‹ Previous', page-1, false);
+      for (let p=1; p<=numPages; p++) addLink(''+p, p, p==page);
+      if (page<numPages) addLink('Next ›', page+1, false);
+    }
+  }
+
+  // turns link into a link to the search page showing params, which
+  // updates the page in place when clicked
+  this.SetPageLink = function(link, params) {
+    link.setAttribute('href', this.Url(params));
+    link.addEventListener('click', (e) => {
+      if (e.ctrlKey || e.metaKey || e.shiftKey || e.button!=0) return; // open in new tab or window
+      e.preventDefault();
+      this.lastTyped = 0;
+      this.Navigate(params);
+      window.scrollTo(0, 0);
+    });
+  }
+
+  // shows the results for the URL when going back or forward in the history
+  window.addEventListener('popstate', () => this.Render(this.Params()));
+}
+
+// -----------------------------------------------------------------------
+
+/* The color theme of the pages: 'auto' follows the preference of the
+   system, 'light' and 'dark' override it. It is applied as soon as this file
+   is loaded, so that the page is not first drawn in the wrong colors.
+*/
+const themeSwitch = {
+  darkQuery : window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null,
+
+  // returns the selected theme, 'auto', 'light' or 'dark'
+  theme : function() {
+    return Cookie.readSetting(THEME_COOKIE_NAME,'auto');
+  },
+
+  isDark : function() {
+    const theme = this.theme();
+    return theme=='dark' || (theme=='auto' && this.darkQuery!==null && this.darkQuery.matches);
+  },
+
+  apply : function() {
+    const dark = this.isDark();
+    document.documentElement.classList.toggle('dark-mode', dark);
+    document.documentElement.classList.toggle('light-mode', !dark);
+  },
+
+  set : function(theme) {
+    if (theme=='auto') {
+      Cookie.eraseSetting(THEME_COOKIE_NAME);
+    } else {
+      Cookie.writeSetting(THEME_COOKIE_NAME,theme);
+    }
+    this.apply();
+  },
+
+  init : function() {
+    this.apply();
+    if (this.darkQuery) {
+      this.darkQuery.addEventListener('change', () => this.apply());
+    }
+  },
+};
+
+themeSwitch.init();
+
+// -----------------------------------------------------------------------
+
+/* The command palette, opened with Ctrl+K (Cmd+K on macOS) or '/'. It finds
+   symbols and pages using the search index of the search box and runs
+   actions on the current page. A query starting with '>' only lists the
+   actions.
+*/
+const commandPalette = {
+  maxResults : 12,
+  generation : 0, // incremented for every query to drop outdated results
+  request    : null, // the shard loads of the running query
+  items      : [],
+  selected   : 0,
+
+  DOMPalette : () => document.getElementById("MSearchPalette"),
+  DOMField   : () => document.getElementById("MSearchPaletteField"),
+  DOMList    : () => document.getElementById("MSearchPaletteList"),
+
+  // returns the actions available on the current page
+  actions : function() {
+    const actions = [];
+    if ($('div.dynheader[id], tr.inherit_header, table.directory').length>0) {
+      actions.push({ label: 'Expand all sections', run: () => dynsection.toggleAll(true) });
+      actions.push({ label: 'Collapse all sections', run: () => dynsection.toggleAll(false) });
+    }
+    if ($('#fold_all').length>0) {
+      actions.push({ label: codefold.opened ? 'Fold all code blocks' : 'Unfold all code blocks',
+                     run: () => codefold.toggle_all() });
+    }
+    if ($('#nav-sync').length>0) {
+      actions.push({ label: $('#nav-sync').hasClass('sync') ? 'Stop syncing the navigation tree' :
+                                                              'Sync the navigation tree with this page',
+                     run: () => $('#nav-sync').click() });
+    }
+    if ($('#nav-tree').length>0 && location.protocol!='file:') {
+      if (Cookie.readSetting(PAGE_TRANSITIONS_COOKIE_NAME,'off')=='on') {
+        actions.push({ label: 'Turn off page transitions (load each page in full)',
+                       run: () => Cookie.eraseSetting(PAGE_TRANSITIONS_COOKIE_NAME) });
+      } else {
+        actions.push({ label: 'Turn on page transitions (keep the navigation tree between pages)',
+                       run: () => Cookie.writeSetting(PAGE_TRANSITIONS_COOKIE_NAME,'on') });
+      }
+    }
+    if (navigator.clipboard) {
+      actions.push({ label: 'Copy link to this page', run: () => navigator.clipboard.writeText(location.href) });
+    }
+    const theme = themeSwitch.theme();
+    if (themeSwitch.isDark()) {
+      actions.push({ label: 'Switch to light theme', run: () => themeSwitch.set('light') });
+    } else {
+      actions.push({ label: 'Switch to dark theme', run: () => themeSwitch.set('dark') });
+    }
+    if (theme!='auto') {
+      actions.push({ label: 'Use the system theme', run: () => themeSwitch.set('auto') });
+    }
+    actions.forEach((action) => action.kind = 'Action');
+    return actions;
+  },
+
+  // returns an item opening the search result with name, ref and scope
+  resultItem : function(name, ref, scope, kind, query, positions) {
+    return { label: name, detail: scope, kind: kind, positions: positions,
+             run: () => {
+               searchBox.history.AddRecent(query, { name: name, ref: ref, scope: scope });
+               if (ref.startsWith('http://') || ref.startsWith('https://')) {
+                 window.open(ref, '_blank');
+               } else {
+                 location.href = searchBox.resultsPath + ref;
+               }
+             } };
+  },
+
+  Open : function() {
+    if (!this.DOMPalette()) this.Create();
+    this.DOMPalette().style.display = 'block';
+    const field = this.DOMField();
+    field.value = '';
+    field.focus();
+    this.Update();
+  },
+
+  Close : function() {
+    const palette = this.DOMPalette();
+    if (palette && palette.style.display=='block') {
+      palette.style.display = 'none';
+      this.generation++;
+      searchBox.shards.Cancel(this.request);
+    }
+  },
+
+  IsOpen : function() {
+    const palette = this.DOMPalette();
+    return palette!==null && palette.style.display=='block';
+  },
+
+  Create : function() {
+    const palette = document.createElement('div');
+    palette.setAttribute('id','MSearchPalette');
+    palette.setAttribute('class','SRPalette');
+    palette.innerHTML =
+      '<div class="SRPaletteBox" role="dialog" aria-label="Command palette">'+
+      '<input type="text" id="MSearchPaletteField" autocomplete="off" spellcheck="false" '+
+             'placeholder="Search symbols and pages, > for actions" role="combobox" '+
+             'aria-expanded="true" aria-controls="MSearchPaletteList"/>'+
+      '<div id="MSearchPaletteList" role="listbox"></div>'+
+      '</div>';
+    document.body.appendChild(palette);
+    palette.addEventListener('mousedown', (e) => {
+      if (e.target==palette) this.Close(); // click outside the box
+    });
+    const field = this.DOMField();
+    field.addEventListener('input', () => this.Update());
+    field.addEventListener('keydown', (e) => this.OnKey(e));
+  },
+
+  OnKey : function(e) {
+    if (e.key=='ArrowDown' || e.key=='ArrowUp') {
+      e.preventDefault();
+      if (this.items.length>0) {
+        const step = e.key=='ArrowDown' ? 1 : this.items.length-1;
+        this.Select((this.selected+step) % this.items.length);
+      }
+    } else if (e.key=='Enter') {
+      e.preventDefault();
+      this.Run(this.selected);
+    } else if (e.key=='Escape') {
+      e.preventDefault();
+      this.Close();
+    }
+  },
+
+  // lists the items matching the text of the palette's field
+  Update : function() {
+    const generation = ++this.generation;
+    searchBox.shards.Cancel(this.request);
+    const text = this.DOMField().value.replace(/\s+/g,' ').trim();
+    const actionsOnly = text.startsWith('>');
+    const search = actionsOnly ? text.substring(1).trim() : text;
+    const query = searchMatcher.parseQuery(search);
+    const actions = [];
+    this.actions().forEach((action) => {
+      if (search=='') {
+        actions.push(action);
+      } else {
+        const m = searchMatcher.matchQuery(query, action.label, '');
+        if (m) actions.push(Object.assign(action, { score: m.score, positions: m.positions }));
+      }
+    });
+    actions.sort((a,b) => (b.score||0)-(a.score||0));
+    if (actionsOnly) {
+      this.Show(actions);
+    } else if (search=='') { // offer the pinned and recently opened results
+      const history = searchBox.history;
+      this.Show(actions.concat(
+        history.pinned.map((entry) => this.resultItem(entry.name, entry.ref, entry.scope, 'Pinned', '')),
+        history.recent.map((entry) => this.resultItem(entry.name, entry.ref, entry.scope, 'Recent', entry.q))));
+    } else {
+      this.Show(actions, true);
+      const request = this.request = searchBox.shards.Request();
+      searchBox.shards.DiscoverSections(() => {
+        if (generation!=this.generation) return;
+        const sections = searchMatcher.querySections(query, 0);
+        searchBox.shards.LoadQuery(sections, query, searchBox.matchAnywhere, (data) => {
+          if (generation!=this.generation) return; // the query changed meanwhile
+          const items = [];
+          for (const match of searchResults.Rank(data, search)) {
+            const elem = match.elem;
+            const refs = match.children ? match.children.map(c => elem[1][c+1]) : elem[1].slice(1);
+            for (const ref of refs) {
+              items.push(this.resultItem(match.name, ref[0], searchMatcher.decodeHtml(ref[2]),
+                                         '', search, match.positions));
+              if (items.length==this.maxResults) break;
+            }
+            if (items.length==this.maxResults) break;
+          }
+          this.Show(items.concat(actions));
+        }, request);
+      });
+    }
+  },
+
+  // shows items in the list, selecting the first one
+  Show : function(items, searching) {
+    this.items = items;
+    const list = this.DOMList();
+    list.innerHTML = '';
+    items.forEach((item,index) => {
+      const option = document.createElement('div');
+      option.setAttribute('id','MSearchPaletteItem'+index);
+      option.setAttribute('class','SRPaletteItem');
+      option.setAttribute('role','option');
+      const label = document.createElement('span');
+      label.setAttribute('class','SRPaletteLabel');
+      searchMatcher.appendHighlighted(label, item.label, item.positions || []);
+      option.appendChild(label);
+      if (item.detail) {
+        const detail = document.createElement('span');
+        detail.setAttribute('class','SRPaletteDetail');
+        detail.textContent = item.detail;
+        option.appendChild(detail);
+      }
+      if (item.kind) {
+        const kind = document.createElement('span');
+        kind.setAttribute('class','SRPaletteKind');
+        kind.textContent = item.kind;
+        option.appendChild(kind);
+      }
+      option.addEventListener('mousemove', () => { if (this.selected!=index) this.Select(index); });
+      option.addEventListener('mousedown', (e) => e.preventDefault()); // keep the focus in the field
+      option.addEventListener('click', () => this.Run(index));
+      list.appendChild(option);
+    });
+    if (items.length==0) {
+      const status = document.createElement('div');
+      status.setAttribute('class','SRPaletteStatus');
+      status.textContent = searching ? 'Searching...' : 'No Matches';
+      list.appendChild(status);
+    }
+    this.Select(0);
+  },
+
+  Select : function(index) {
+    this.selected = index;
+    const field = this.DOMField();
+    field.removeAttribute('aria-activedescendant');
+    this.items.forEach((item,i) => {
+      const option = document.getElementById('MSearchPaletteItem'+i);
+      option.setAttribute('aria-selected', i==index ? 'true' : 'false');
+      if (i==index) {
+        field.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  },
+
+  Run : function(index) {
+    const item = this.items[index];
+    if (!item) return;
+    this.Close();
+    item.run();
+  },
+
+  init : function() {
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase()=='k') {
+        e.preventDefault();
+        if (this.IsOpen()) this.Close(); else this.Open();
+      } else if (e.key=='/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.IsOpen()) {
+        const target = e.target;
+        if (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable) return;
+        e.preventDefault();
+        this.Open();
+      }
+    });
+  },
+};
+
+// Called on the search page to show the results for the query in the URL.
+function init_search_page() {
+  const searchPage = searchBox.resultsPage;
+  // wait for the sections on disk to be known before grouping by them
+  searchBox.shards.DiscoverSections(() => searchPage.Render(searchPage.Params()));
 }
 
 function init_search() {
   const results = document.getElementById("MSearchSelectWindow");
+  const selected = searchBox.resultsPage ? searchBox.resultsPage.SelectedLabel() :
+                                           Cookie.readSetting(SEARCH_COOKIE_NAME,0);
+
+  const buildSelectWindow = function(changes) {
+    results.innerHTML = '';
+    if (changes.added.length>0) {
+      const warning = document.createElement('div');
+      warning.setAttribute('class','SelectWarning');
+      warning.textContent = 'The search index (searchdata.js) is out of date: '+
+                            changes.added.join(', ')+' found on disk.';
+      results.appendChild(warning);
+      searchBox.ShowStaleIndexWarning(warning.textContent);
+    }
+    for (let key in indexSections.labels) {
+      const link = document.createElement('a');
+      link.setAttribute('class','SelectItem');
+      link.setAttribute('onclick','searchBox.OnSelectItem('+key+')');
+      link.href='javascript:void(0)';
+      link.innerHTML='<span class="SelectionMark">&#160;</span>'+indexSections.labels[key];
+      results.appendChild(link);
+    }
+    const matchAnywhere = document.createElement('a');
+    matchAnywhere.setAttribute('class','SelectOption');
+    matchAnywhere.setAttribute('id','MSearchMatchAnywhere');
+    matchAnywhere.setAttribute('onclick','searchBox.OnToggleMatchAnywhere()');
+    matchAnywhere.setAttribute('title','Also find symbols that do not start with the search text');
+    matchAnywhere.href='javascript:void(0)';
+    matchAnywhere.innerHTML='<span class="SelectionMark">&#160;</span>Match anywhere';
+    results.appendChild(matchAnywhere);
+    const descriptions = document.createElement('a');
+    descriptions.setAttribute('class','SelectOption');
+    descriptions.setAttribute('id','MSearchDescriptions');
+    descriptions.setAttribute('onclick','searchBox.OnToggleSearchDescriptions()');
+    descriptions.setAttribute('title','Search the descriptions of symbols instead of their names');
+    descriptions.href='javascript:void(0)';
+    descriptions.innerHTML='<span class="SelectionMark">&#160;</span>Search descriptions';
+    results.appendChild(descriptions);
+    searchBox.OptionsSet();
+    searchBox.OnSelectItem(searchBox.GetSelectionIdByName(selected));
+  }
 
   results.tabIndex=0;
-  for (let key in indexSectionLabels) {
-    const link = document.createElement('a');
-    link.setAttribute('class','SelectItem');
-    link.setAttribute('onclick','searchBox.OnSelectItem('+key+')');
-    link.href='javascript:void(0)';
-    link.innerHTML='<span class="SelectionMark">&#160;</span>'+indexSectionLabels[key];
-    results.appendChild(link);
-  }
+  buildSelectWindow({ added: [], missing: [] });
+  // offer the sections that actually ship in the search directory
+  searchBox.shards.DiscoverSections(buildSelectWindow);
 
   const input = document.getElementById("MSearchSelect");
   const searchSelectWindow = document.getElementById("MSearchSelectWindow");
@@ -701,8 +2279,7 @@ function init_search() {
       }
     }
   });
-  const name = Cookie.readSetting(SEARCH_COOKIE_NAME,0);
-  const id = searchBox.GetSelectionIdByName(name);
-  searchBox.OnSelectItem(id);
+
+  commandPalette.init();
 }
 /* @license-end */
@@ -0,0 +1,13 @@
+var searchSections={
+  "all": "123456abcdefghijklmnopqrstuvwà",
+  "classes": "abefhimorst",
+  "enums": "abefrs",
+  "enumvalues": "abcfhlnopqrsu",
+  "files": "cru",
+  "functions": "abcdefghimoprstuvw",
+  "namespaces": "t",
+  "pages": "123456abcdefghijklmnopqrstuvwà",
+  "properties": "abcdefhikmopqrstuv",
+  "typedefs": "ms",
+  "variables": "abks"
+};
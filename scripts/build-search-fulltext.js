@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/*
+ Builds docs/html/search/fulltext.js, the full-text index used by the
+ "Search descriptions" option of the HTML search box, from the Doxygen XML
+ output (GENERATE_XML = YES).
+
+ Usage: node scripts/build-search-fulltext.js [xmlDir] [htmlDir]
+
+ xmlDir  - directory with the Doxygen XML output (default: docs/xml)
+ htmlDir - directory with the Doxygen HTML output (default: docs/html)
+
+ The generated file defines
+   var searchFullText=[[name,url,scope,section,brief,details],...];
+ with one entry for every documented compound and member. section is the
+ name of the search section the symbol is listed in (see searchdata.js),
+ brief and details are the plain text of its descriptions.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const xmlDir = path.resolve(process.argv[2] || path.join(root, 'docs', 'xml'));
+const htmlDir = path.resolve(process.argv[3] || path.join(root, 'docs', 'html'));
+const outFile = path.join(htmlDir, 'search', 'fulltext.js');
+
+// maps doxygen compound and member kinds to search section names
+const SECTIONS = {
+  class: 'classes', struct: 'classes', interface: 'classes', union: 'classes',
+  exception: 'classes', protocol: 'classes', category: 'classes',
+  namespace: 'namespaces', file: 'files', page: 'pages', group: 'groups',
+  module: 'modules', concept: 'concepts',
+  function: 'functions', slot: 'functions', signal: 'functions',
+  variable: 'variables', typedef: 'typedefs', enum: 'enums', enumvalue: 'enumvalues',
+  property: 'properties', event: 'events', friend: 'related', define: 'defines',
+};
+
+// elements whose content is not useful as search text
+const SKIPPED_ELEMENTS = ['programlisting', 'verbatim', 'formula', 'image', 'dotfile', 'dot', 'plantuml'];
+
+// elements that separate words, so that their text is not glued together
+const BLOCK_ELEMENTS = 'para|parametername|parameterdescription|parameteritem|simplesect|title|' +
+                       'listitem|entry|row|sect[1-6]|term|varlistentry|heading|xrefsect';
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+// returns the plain text of an XML fragment
+function plainText(xml) {
+  if (!xml) return '';
+  SKIPPED_ELEMENTS.forEach((name) => {
+    xml = xml.replace(new RegExp('<' + name + '[\\s>][\\s\\S]*?</' + name + '>', 'g'), ' ');
+  });
+  xml = xml.replace(new RegExp('</?(?:' + BLOCK_ELEMENTS + ')(?:\\s[^>]*)?/?>', 'g'), ' ');
+  xml = xml.replace(/<[^>]*>/g, '');
+  return decodeEntities(xml).replace(/\s+/g, ' ').trim();
+}
+
+// returns the content of the first child element name of xml
+function element(xml, name) {
+  const m = xml.match(new RegExp('<' + name + '(?:\\s[^>]*)?>([\\s\\S]*?)</' + name + '>'));
+  return m ? m[1] : '';
+}
+
+// returns the value of attribute name of the opening tag tag
+function attribute(tag, name) {
+  const m = tag.match(new RegExp('\\s' + name + '="([^"]*)"'));
+  return m ? decodeEntities(m[1]) : '';
+}
+
+// returns the html page and anchor of a compound or member id relative to
+// the search directory, like the urls in searchData,
+// e.g. class_a_1_1_b_1a0123... -> ../class_a_1_1_b.html#a0123...
+function idToUrl(id) {
+  const m = id.match(/^(.*)_1([a-z][0-9a-f]{32,})$/);
+  return '../' + (m ? m[1] + '.html#' + m[2] : id + '.html');
+}
+
+function htmlExists(url) {
+  return fs.existsSync(path.join(htmlDir, 'search', url.replace(/#.*$/, '')));
+}
+
+// strips the namespace or class of a compound name, e.g. A::B::C -> [A::B, C]
+function splitName(compoundName) {
+  const pos = Math.max(compoundName.lastIndexOf('::'), compoundName.lastIndexOf('.'));
+  if (pos == -1) return ['', compoundName];
+  const sep = compoundName.charAt(pos) == '.' ? 1 : 2;
+  return [compoundName.substring(0, pos), compoundName.substring(pos + sep)];
+}
+
+const entries = [];
+const seen = {};
+
+function addEntry(id, name, scope, kind, briefXml, detailsXml) {
+  const section = SECTIONS[kind];
+  const url = idToUrl(id);
+  if (!section || seen[id] || !htmlExists(url)) return;
+  const brief = plainText(briefXml);
+  const details = plainText(detailsXml);
+  if (brief == '' && details == '') return; // undocumented
+  seen[id] = true;
+  entries.push([name, url, scope, section, brief, details]);
+}
+
+function indexCompound(xml) {
+  const compoundRe = /<compounddef\s[^>]*>[\s\S]*?<\/compounddef>/g;
+  let compound;
+  while ((compound = compoundRe.exec(xml)) !== null) {
+    const def = compound[0];
+    const tag = def.substring(0, def.indexOf('>') + 1);
+    const kind = attribute(tag, 'kind');
+    const id = attribute(tag, 'id');
+    const compoundName = decodeEntities(element(def, 'compoundname'));
+    // the descriptions of the compound itself follow its members
+    const body = def.replace(/<sectiondef[\s\S]*<\/sectiondef>/, '');
+    if (kind == 'page') {
+      const title = plainText(element(body, 'title')) || compoundName;
+      addEntry(id, title, '', kind, element(body, 'briefdescription'), element(body, 'detaileddescription'));
+    } else if (kind == 'file') {
+      addEntry(id, compoundName, '', kind, element(body, 'briefdescription'), element(body, 'detaileddescription'));
+    } else {
+      const [scope, name] = splitName(compoundName);
+      addEntry(id, name, scope, kind, element(body, 'briefdescription'), element(body, 'detaileddescription'));
+    }
+
+    const memberRe = /<memberdef\s[^>]*>[\s\S]*?<\/memberdef>/g;
+    let member;
+    while ((member = memberRe.exec(def)) !== null) {
+      const mdef = member[0];
+      const mtag = mdef.substring(0, mdef.indexOf('>') + 1);
+      const mkind = attribute(mtag, 'kind');
+      const mname = decodeEntities(element(mdef, 'name'));
+      const scope = kind == 'file' ? '' : compoundName;
+      // enum values are nested inside the enum's memberdef
+      const enumValues = mdef.match(/<enumvalue\s[^>]*>[\s\S]*?<\/enumvalue>/g) || [];
+      const mbody = mdef.replace(/<enumvalue\s[^>]*>[\s\S]*?<\/enumvalue>/g, '');
+      addEntry(attribute(mtag, 'id'), mname, scope, mkind,
+               element(mbody, 'briefdescription'), element(mbody, 'detaileddescription'));
+      enumValues.forEach((value) => {
+        const vtag = value.substring(0, value.indexOf('>') + 1);
+        addEntry(attribute(vtag, 'id'), decodeEntities(element(value, 'name')),
+                 scope ? scope + '::' + mname : mname, 'enumvalue',
+                 element(value, 'briefdescription'), element(value, 'detaileddescription'));
+      });
+    }
+  }
+}
+
+if (!fs.existsSync(xmlDir)) {
+  console.error('No Doxygen XML output found in ' + xmlDir + ', set GENERATE_XML = YES and run doxygen.');
+  process.exit(1);
+}
+
+fs.readdirSync(xmlDir)
+  .filter((file) => file.endsWith('.xml') && file != 'index.xml' && file != 'Doxyfile.xml')
+  .sort()
+  .forEach((file) => indexCompound(fs.readFileSync(path.join(xmlDir, file), 'utf8')));
+
+entries.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+
+const lines = entries.map((entry) => '  ' + JSON.stringify(entry));
+fs.writeFileSync(outFile, 'var searchFullText=[\n' + lines.join(',\n') + '\n];\n');
+console.log('Wrote ' + entries.length + ' entries to ' + path.relative(process.cwd(), outFile));
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/*
+ Builds docs/html/search/sections.js, the list of the search sections that
+ have shards in the search directory of the Doxygen HTML output. The search
+ box offers these sections and warns if searchdata.js does not list them all.
+
+ Usage: node scripts/build-search-sections.js [htmlDir]
+
+ htmlDir - directory with the Doxygen HTML output (default: docs/html)
+
+ The generated file defines
+   var searchSections={name:chars,...};
+ with the first character of the symbols in each shard of a section, like
+ indexSectionsWithContent in searchdata.js.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.resolve(__dirname, '..');
+const htmlDir = path.resolve(process.argv[2] || path.join(root, 'docs', 'html'));
+const searchDir = path.join(htmlDir, 'search');
+const outFile = path.join(searchDir, 'sections.js');
+
+// returns the character a shard is for, the first one of the id of its first
+// symbol, in which doxygen writes other characters than letters and digits
+// as _ and the hex digits of their UTF-8 bytes, e.g. _5f for _
+function firstChar(id) {
+  const m = id.match(/^(?:_[0-9a-f]{2})+/);
+  const text = m ? Buffer.from(m[0].replace(/_/g, ''), 'hex').toString('utf8') : id;
+  return Array.from(text)[0];
+}
+
+// returns the searchData defined by the shard in file
+function shardData(file) {
+  const context = {};
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), context);
+  return context.searchData || [];
+}
+
+if (!fs.existsSync(searchDir)) {
+  console.error('No search directory found in ' + htmlDir + ', set SEARCHENGINE = YES and run doxygen.');
+  process.exit(1);
+}
+
+// section name -> shard number -> file name, e.g. all -> 16 -> all_10.js
+const shards = {};
+fs.readdirSync(searchDir).forEach((file) => {
+  const m = file.match(/^([a-z]+)_([0-9a-f]+)\.js$/);
+  if (!m) return;
+  if (!shards[m[1]]) shards[m[1]] = [];
+  shards[m[1]][parseInt(m[2], 16)] = file;
+});
+
+const sections = {};
+Object.keys(shards).sort().forEach((name) => {
+  let chars = '';
+  // doxygen numbers the shards of a section without gaps and writes one for
+  // every character, so a repeated character is a shard left over from an
+  // earlier run
+  for (let idx = 0; shards[name][idx]; idx++) {
+    const data = shardData(path.join(searchDir, shards[name][idx]));
+    if (data.length == 0) break;
+    const c = firstChar(data[0][0]);
+    if (chars.includes(c)) break;
+    chars += c;
+  }
+  if (chars) sections[name] = chars;
+});
+
+fs.writeFileSync(outFile, 'var searchSections=' + JSON.stringify(sections, null, 2) + ';\n');
+console.log('Wrote ' + Object.keys(sections).length + ' sections to ' + path.relative(process.cwd(), outFile));
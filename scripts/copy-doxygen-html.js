@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/*
+ Copies the customised runtime files of the HTML output in
+ scripts/doxygen-html (navtree.js, search/search.js, doxygen.css, ...) over
+ the ones doxygen writes, which would otherwise replace them on every run.
+
+ Usage: node scripts/copy-doxygen-html.js [htmlDir]
+
+ htmlDir - directory with the Doxygen HTML output (default: docs/html)
+
+ The files are based on those of the doxygen version below, with the colors
+ of the HTML_COLORSTYLE settings of the Doxyfile. When doxygen is upgraded,
+ merge its new runtime files into scripts/doxygen-html and update
+ DOXYGEN_VERSION.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DOXYGEN_VERSION = '1.16.1';
+
+const root = path.resolve(__dirname, '..');
+const srcDir = path.join(__dirname, 'doxygen-html');
+const htmlDir = path.resolve(process.argv[2] || path.join(root, 'docs', 'html'));
+
+// returns the paths of the files in dir and its subdirectories relative to dir
+function listFiles(dir, prefix) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = prefix ? prefix + '/' + entry.name : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), file) : [file];
+  });
+}
+
+const indexFile = path.join(htmlDir, 'index.html');
+if (!fs.existsSync(indexFile)) {
+  console.error('No Doxygen HTML output found in ' + htmlDir + ', run doxygen first.');
+  process.exit(1);
+}
+
+const generator = fs.readFileSync(indexFile, 'utf8').match(/Generated by Doxygen ([\d.]+)/);
+if (generator && generator[1] != DOXYGEN_VERSION) {
+  console.warn('Warning: ' + htmlDir + ' was generated by doxygen ' + generator[1] + ', the files in ' +
+               path.relative(process.cwd(), srcDir) + ' are based on doxygen ' + DOXYGEN_VERSION + '.');
+}
+
+const files = listFiles(srcDir, '').sort();
+files.forEach((file) => {
+  const outFile = path.join(htmlDir, file);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.copyFileSync(path.join(srcDir, file), outFile);
+});
+console.log('Copied ' + files.length + ' files to ' + path.relative(process.cwd(), htmlDir));
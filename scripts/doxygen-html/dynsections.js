@@ -0,0 +1,418 @@
+/*
+ @licstart  The following is the entire license notice for the JavaScript code in this file.
+
+ The MIT License (MIT)
+
+ Copyright (C) 1997-2020 by Dimitri van Heesch
+
+ Permission is hereby granted, free of charge, to any person obtaining a copy of this software
+ and associated documentation files (the "Software"), to deal in the Software without restriction,
+ including without limitation the rights to use, copy, modify, merge, publish, distribute,
+ sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+ furnished to do so, subject to the following conditions:
+
+ The above copyright notice and this permission notice shall be included in all copies or
+ substantial portions of the Software.
+
+ THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM,
+ DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+
+ @licend  The above is the entire license notice for the JavaScript code in this file
+ */
+
+function toggleVisibility(linkObj) {
+  return dynsection.toggleVisibility(linkObj);
+}
+
+const DYNSECTION_COOKIE_NAME = ''+'dynsections';
+const MAX_DYNSECTION_STATES = 200;
+
+let dynsection = {
+  // helper function
+  updateStripes : function() {
+    $('table.directory tr').
+      removeClass('even').filter(':visible:even').addClass('even');
+    $('table.directory tr').
+      removeClass('odd').filter(':visible:odd').addClass('odd');
+  },
+
+  toggleVisibility : function(linkObj) {
+    const base = $(linkObj).attr('id');
+    const open = $('#'+base+'-content').is(':visible')!==true;
+    this.showSection(base,open,true);
+    this.rememberState(base,open);
+    return false;
+  },
+
+  // opens or closes the section with id base, sliding it when animate is set
+  showSection : function(base,open,animate) {
+    const summary = $('#'+base+'-summary');
+    const content = $('#'+base+'-content');
+    if (open) {
+      if (animate) content.slideDown('fast'); else content.show();
+      summary.hide();
+      $('#'+base).find('.arrowhead').removeClass('closed').addClass('opened');
+    } else {
+      if (animate) content.slideUp('fast'); else content.hide();
+      summary.show();
+      $('#'+base).find('.arrowhead').addClass('closed').removeClass('opened');
+    }
+  },
+
+  toggleLevel : function(level) {
+    $('table.directory tr').each(function() {
+      const l = this.id.split('_').length-1;
+      const i = $('#img'+this.id.substring(3));
+      const a = $('#arr'+this.id.substring(3));
+      if (l<level+1) {
+        i.find('.folder-icon').addClass('open');
+        a.find('.arrowhead').removeClass('closed').addClass('opened');
+        $(this).show();
+      } else if (l==level+1) {
+        a.find('.arrowhead').removeClass('opened').addClass('closed');
+        i.find('.folder-icon').removeClass('open');
+        $(this).show();
+      } else {
+        $(this).hide();
+      }
+    });
+    this.updateStripes();
+  },
+
+  toggleFolder : function(id) {
+    // the clicked row
+    const currentRow = $('#row_'+id);
+
+    // all rows after the clicked row
+    const rows = currentRow.nextAll("tr");
+
+    const re = new RegExp('^row_'+id+'\\d+_$', "i"); //only one sub
+
+    // only match elements AFTER this one (can't hide elements before)
+    const childRows = rows.filter(function() { return this.id.match(re); });
+
+    // first row is visible we are HIDING
+    if (childRows.filter(':first').is(':visible')===true) {
+      // replace down arrow by right arrow for current row
+      const currentRowSpans = currentRow.find("span");
+      currentRowSpans.filter(".iconfolder").find('.folder-icon').removeClass("open");
+      currentRowSpans.filter(".opened").removeClass("opened").addClass("closed");
+      rows.filter("[id^=row_"+id+"]").hide(); // hide all children
+    } else { // we are SHOWING
+      // replace right arrow by down arrow for current row
+      const currentRowSpans = currentRow.find("span");
+      currentRowSpans.filter(".iconfolder").find('.folder-icon').addClass("open");
+      currentRowSpans.filter(".closed").removeClass("closed").addClass("opened");
+      // replace down arrows by right arrows for child rows
+      const childRowsSpans = childRows.find("span");
+      childRowsSpans.filter(".iconfolder").find('.folder-icon').removeClass("open");
+      childRowsSpans.filter(".opened").removeClass("opened").addClass("closed");
+      childRows.show(); //show all children
+    }
+    this.updateStripes();
+  },
+
+  toggleInherit : function(id) {
+    const open = $('tr.inherit.'+id).filter(':first').is(':visible')!==true;
+    this.showInherit(id,open);
+    this.rememberState(id,open);
+  },
+
+  showInherit : function(id,open) {
+    let rows = $('tr.inherit.'+id);
+    let header = $('tr.inherit_header.'+id);
+    if (open) {
+      rows.show();
+      $(header).find('.arrowhead').removeClass('closed').addClass('opened');
+    } else {
+      rows.hide();
+      $(header).find('.arrowhead').addClass('closed').removeClass('opened');
+    }
+  },
+
+  // the id of the inherited members group of a tr.inherit_header row
+  inheritId : function(header) {
+    return header.className.split(/\s+/).find((c) => c && c!='inherit_header');
+  },
+
+  // short key for the section id of the current page, to keep the cookie small
+  sectionKey : function(id) {
+    const s = location.pathname.replace(/.*\//,'')+'#'+id;
+    let h = 5381;
+    for (let i=0;i<s.length;i++) h = ((h<<5)+h+s.charCodeAt(i))|0;
+    return (h>>>0).toString(36);
+  },
+
+  // the remembered sections as key+ (open) or key- (closed), the most recently toggled last
+  readStates : function() {
+    return Cookie.readSetting(DYNSECTION_COOKIE_NAME,'').split('.').filter((state) => state);
+  },
+
+  rememberState : function(id,open) {
+    const key = this.sectionKey(id);
+    const states = this.readStates().filter((state) => state.slice(0,-1)!=key);
+    states.push(key+(open ? '+' : '-'));
+    Cookie.writeSetting(DYNSECTION_COOKIE_NAME,states.slice(-MAX_DYNSECTION_STATES).join('.'));
+  },
+
+  // opens and closes the sections of the page as they were left
+  restoreStates : function() {
+    const states = new Map(this.readStates().map((state) => [state.slice(0,-1),state.slice(-1)=='+']));
+    if (states.size==0) return;
+    $('div.dynheader[id]').each(function() {
+      const open = states.get(dynsection.sectionKey(this.id));
+      if (open!==undefined && $('#'+this.id+'-content').is(':visible')!==open) {
+        dynsection.showSection(this.id,open,false);
+      }
+    });
+    $('tr.inherit_header').each(function() {
+      const id = dynsection.inheritId(this);
+      const open = id && states.get(dynsection.sectionKey(id));
+      if (open!==undefined && $('tr.inherit.'+id).filter(':first').is(':visible')!==open) {
+        dynsection.showInherit(id,open);
+      }
+    });
+  },
+
+  // adds expand all and collapse all links to the page header
+  addToggleAll : function() {
+    if ($('div.dynheader[id], tr.inherit_header, table.directory').length==0) return;
+    let summary = $('div.header div.summary');
+    if (summary.length) {
+      summary.append(' &#124; ');
+    } else {
+      summary = $('<div class="summary"></div>').prependTo('div.header');
+    }
+    summary.append($('<a href="javascript:void(0)">Expand all</a>').click(() => this.toggleAll(true)));
+    summary.append(' &#124; ');
+    summary.append($('<a href="javascript:void(0)">Collapse all</a>').click(() => this.toggleAll(false)));
+  },
+
+  init : function() {
+    this.restoreStates();
+    this.addToggleAll();
+  },
+
+  // expand (or collapse) all collapsible sections of the page
+  toggleAll : function(expand) {
+    $('div.dynheader[id]').each(function() {
+      if ($('#'+this.id+'-content').is(':visible')!==expand) dynsection.toggleVisibility(this);
+    });
+    $('tr.inherit_header').each(function() {
+      const id = dynsection.inheritId(this);
+      if (id && $('tr.inherit.'+id).filter(':first').is(':visible')!==expand) dynsection.toggleInherit(id);
+    });
+    if ($('table.directory').length>0) {
+      this.toggleLevel(expand ? 99 : 1);
+    }
+  },
+
+};
+
+const CODEFOLD_COOKIE_NAME = ''+'codefold';
+const MAX_CODEFOLD_FILES = 8;
+
+let codefold = {
+  opened : true,
+
+  // toggle all folding blocks
+  toggle_all : function() {
+    if (this.opened) {
+      $('#fold_all').addClass('plus').removeClass('minus');
+      $('div[id^=foldopen]').hide();
+      $('div[id^=foldclosed]').show();
+      $('div[id^=foldclosed] span.fold').removeClass('minus').addClass('plus');
+    } else {
+      $('#fold_all').addClass('minus').removeClass('plus');
+      $('div[id^=foldopen]').show();
+      $('div[id^=foldclosed]').hide();
+    }
+    this.opened=!this.opened;
+    this.save();
+  },
+
+  // the global toggle folds all blocks while any of them is open, and unfolds them once all are folded
+  updateToggleAll : function() {
+    this.opened = $('div[id^=foldopen]').filter(function() { return this.style.display!='none'; }).length>0 ||
+                  $('div[id^=foldopen]').length==0;
+    $('#fold_all').toggleClass('minus',this.opened).toggleClass('plus',!this.opened);
+  },
+
+  // toggle single folding block
+  toggle : function(id) {
+    $('#foldopen'+id).toggle();
+    $('#foldclosed'+id).toggle();
+    $('#foldopen'+id).next().find('span.fold').addClass('plus').removeClass('minus');
+    this.save();
+  },
+
+  // open or close a single folding block
+  setFold : function(id,open) {
+    $('#foldopen'+id).toggle(open);
+    $('#foldclosed'+id).toggle(!open);
+  },
+
+  // fold the blocks nested level deep or deeper, e.g. 3 for the member bodies of a class in a namespace
+  foldToLevel : function(level) {
+    $('div[id^=foldopen][data-level]').each(function() {
+      codefold.setFold(this.id.replace('foldopen',''),$(this).attr('data-level')<level);
+    });
+    this.save();
+  },
+
+  // fold all comment blocks, or unfold them when they are all folded already
+  toggle_comments : function() {
+    const folds = $('div[id^=foldopen][data-comment]');
+    const open = folds.filter(function() { return this.style.display=='none'; }).length==folds.length;
+    folds.each(function() { codefold.setFold(this.id.replace('foldopen',''),open); });
+    this.save();
+  },
+
+  // open the blocks hiding the line anchor with the given name; returns whether there were any
+  reveal : function(name) {
+    const folds = $('a[name='+name+']').parents('div[id^=foldopen]').filter(function() {
+      return this.style.display=='none';
+    });
+    folds.each(function() { codefold.setFold(this.id.replace('foldopen',''),true); });
+    if (folds.length) this.save();
+    return folds.length>0;
+  },
+
+  // the folded blocks of each listing are stored as key:id_id, the most recently changed listing last
+  readStates : function() {
+    return Cookie.readSetting(CODEFOLD_COOKIE_NAME,'').split('.').filter((state) => state);
+  },
+
+  save : function() {
+    const key = dynsection.sectionKey('code');
+    const closed = $('div[id^=foldopen]').filter(function() { return this.style.display=='none'; }).
+                   map(function() { return this.id.replace('foldopen',''); }).get();
+    this.updateToggleAll();
+    const states = this.readStates().filter((state) => state.split(':')[0]!=key);
+    if (closed.length) states.push(key+':'+closed.join('_'));
+    if (states.length) {
+      Cookie.writeSetting(CODEFOLD_COOKIE_NAME,states.slice(-MAX_CODEFOLD_FILES).join('.'));
+    } else {
+      Cookie.eraseSetting(CODEFOLD_COOKIE_NAME);
+    }
+  },
+
+  // wrap runs of comment lines of the source listings in a folding block, like the code blocks doxygen
+  // generates; code examples in the documentation have no line numbers and are left as they are
+  addCommentFolds : function() {
+    const firstLine = $('span[class=lineno]:first').parent()[0]; // holds the fold all toggle
+    const isComment = function(line) {
+      const parts = $(line).contents().not('a[name], span.lineno');
+      return line!=firstLine && parts.filter('span.comment').length>0 && parts.toArray().every((n) =>
+             (n.nodeType==3 && n.textContent.trim()=='') || $(n).is('span.comment'));
+    }
+    let run = [];
+    const wrap = function() {
+      if (run.length>1) {
+        const id = 'c'+$(run[0]).children('a[name]').attr('name').substring(1);
+        const fold = $('<div class="foldopen" id="foldopen'+id+'" data-start="" data-end="" data-comment="1"></div>');
+        // move the newlines between the lines along, copying the listing as text relies on them
+        const nodes = [];
+        for (let node=run[0]; node!=run[run.length-1].nextSibling; node=node.nextSibling) nodes.push(node);
+        fold.insertBefore(run[0]).append(nodes);
+      }
+      run = [];
+    }
+    $('div.fragment').has('span.lineno').find('div.line').each(function() {
+      if (!isComment(this) || $(this).children('a[name]').length==0) {
+        wrap();
+      } else {
+        if (run.length && run[run.length-1].nextElementSibling!=this) wrap();
+        run.push(this);
+      }
+    });
+    wrap();
+  },
+
+  // adds the fold to level and comment controls to the page header
+  addControls : function() {
+    const levels = $('div[id^=foldopen][data-level]').map(function() { return +$(this).attr('data-level'); }).get();
+    if (levels.length==0) return;
+    const bar = $('<div class="summary">Fold to level</div>');
+    for (let level=1;level<=Math.min(Math.max(...levels),6);level++) {
+      bar.append(' ').append($('<a href="javascript:void(0)">'+level+'</a>').click(() => this.foldToLevel(level)));
+    }
+    if ($('div[id^=foldopen][data-comment]').length) {
+      bar.append(' &#124; ').append($('<a href="javascript:void(0)">Fold comments</a>').click(() => this.toggle_comments()));
+    }
+    bar.append(' &#124; ').append($('<a href="javascript:void(0)">Unfold all</a>').click(() => this.foldToLevel(99)));
+    $('div.header').prepend(bar);
+  },
+
+  init : function() {
+    this.addCommentFolds();
+    $('span[class=lineno]').css({
+      'padding-right':'4px',
+      'margin-right':'2px',
+      'display':'inline-block',
+      'width':'54px',
+      'background':'linear-gradient(var(--fold-line-color),var(--fold-line-color)) no-repeat 46px/2px 100%'
+    });
+    // add global toggle to first line
+    $('span[class=lineno]:first').append('<span class="fold minus" id="fold_all" '+
+      'onclick="javascript:codefold.toggle_all();"></span>');
+    // add vertical lines to other rows
+    $('span[class=lineno]').not(':eq(0)').append('<span class="fold"></span>');
+    // add toggle controls to lines with fold divs
+    $('div[class=foldopen]').each(function() {
+      // extract specific id to use
+      const id    = $(this).attr('id').replace('foldopen','');
+      // extract start and end foldable fragment attributes
+      const start = $(this).attr('data-start');
+      const end   = $(this).attr('data-end');
+      // replace normal fold span with controls for the first line of a foldable fragment
+      $(this).find('span[class=fold]:first').replaceWith('<span class="fold minus" '+
+                   'onclick="javascript:codefold.toggle(\''+id+'\');"></span>');
+      // append div for folded (closed) representation
+      $(this).after('<div id="foldclosed'+id+'" class="foldclosed" style="display:none;"></div>');
+      // extract the first line from the "open" section to represent closed content
+      const line = $(this).children().first().clone();
+      // remove any glow that might still be active on the original line
+      $(line).removeClass('glow');
+      if (start) {
+        // if line already ends with a start marker (e.g. trailing {), remove it
+        $(line).html($(line).html().replace(new RegExp('\\s*'+start+'\\s*$','g'),''));
+      }
+      // replace minus with plus symbol
+      $(line).find('span[class=fold]').addClass('plus').removeClass('minus');
+      // append ellipsis
+      $(line).append(' '+start+'<a href="javascript:codefold.toggle(\''+id+'\')">&#8230;</a>'+end);
+      // insert constructed line into closed div
+      $('#foldclosed'+id).html(line);
+    });
+    $('div[id^=foldopen]').not('[data-comment]').each(function() {
+      $(this).attr('data-level',$(this).parents('div[id^=foldopen]').not('[data-comment]').length+1);
+    });
+    // fold the blocks as they were left, but keep a targeted line visible
+    const key = dynsection.sectionKey('code');
+    const saved = this.readStates().find((state) => state.split(':')[0]==key);
+    if (saved) {
+      saved.split(':')[1].split('_').forEach((id) => this.setFold(id,false));
+    }
+    if (/^#l\d+$/.test(location.hash)) {
+      this.reveal(location.hash.substring(1));
+    }
+    this.updateToggleAll();
+    this.addControls();
+  },
+};
+
+// sets up the tooltips of the code links in the page
+function initPowerTips() {
+  $('.code,.codeRef').each(function() {
+    $(this).data('powertip',$('#a'+$(this).attr('href').replace(/.*\//,'').replace(/[^a-z_A-Z0-9]/g,'_')).html());
+    $.fn.powerTip.smartPlacementLists.s = [ 's', 'n', 'ne', 'se' ];
+    $(this).powerTip({ placement: 's', smartPlacement: true, mouseOnToPopup: true });
+  });
+}
+/* @license-end */
+$(initPowerTips);
+$(function() { dynsection.init(); });
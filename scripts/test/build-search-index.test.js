@@ -0,0 +1,150 @@
+/*
+ Tests of build-search-fulltext.js and build-search-sections.js, run on
+ small Doxygen XML and HTML outputs written to a temporary directory.
+
+ Usage: node --test scripts/test/
+*/
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const scriptsDir = path.join(__dirname, '..');
+
+// runs one of the scripts with args, returns its exit code and output
+function run(script, args) {
+  const result = spawnSync(process.execPath, [path.join(scriptsDir, script)].concat(args), { encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// returns the global variable name defined by the generated script file
+function readGenerated(file, name) {
+  const context = {};
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), context);
+  return JSON.parse(JSON.stringify(context[name]));
+}
+
+function writeFiles(dir, files) {
+  Object.keys(files).forEach((file) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  });
+}
+
+const CLASS_ID = 'class_toolbox_1_1_api_options';
+const memberId = (digit) => CLASS_ID + '_1a' + digit.repeat(32);
+
+const CLASS_XML = `<?xml version='1.0' encoding='UTF-8' standalone='no'?>
+<doxygen version="1.16.1" xml:lang="en-US">
+  <compounddef id="${CLASS_ID}" kind="class" language="C#" prot="public">
+    <compoundname>Toolbox::ApiOptions</compoundname>
+    <sectiondef kind="property">
+      <memberdef kind="property" id="${memberId('1')}" prot="public" static="no">
+        <name>MaxRetries</name>
+        <briefdescription><para>The maximum number of retry attempts.</para></briefdescription>
+        <detaileddescription><para>For example:<programlisting><codeline>MaxRetries = 5;</codeline></programlisting>Defaults to 3 &amp; can be <computeroutput>0</computeroutput>.</para></detaileddescription>
+      </memberdef>
+      <memberdef kind="property" id="${memberId('2')}" prot="public" static="no">
+        <name>Undocumented</name>
+        <briefdescription></briefdescription>
+        <detaileddescription></detaileddescription>
+      </memberdef>
+    </sectiondef>
+    <sectiondef kind="public-type">
+      <memberdef kind="enum" id="${memberId('3')}" prot="public" static="no">
+        <name>Mode</name>
+        <enumvalue id="${memberId('4')}" prot="public">
+          <name>Fast</name>
+          <briefdescription><para>Does not wait between retries.</para></briefdescription>
+          <detaileddescription></detaileddescription>
+        </enumvalue>
+        <briefdescription><para>How to retry.</para></briefdescription>
+        <detaileddescription></detaileddescription>
+      </memberdef>
+    </sectiondef>
+    <briefdescription><para>Options of the <ref refid="class_toolbox_1_1_api" kindref="compound">Api</ref> client.</para></briefdescription>
+    <detaileddescription></detaileddescription>
+  </compounddef>
+</doxygen>
+`;
+
+describe('build-search-fulltext', () => {
+  let tmpDir;
+  before(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-fulltext-')); });
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  test('indexes the documented compounds and members of the XML output', () => {
+    const xmlDir = path.join(tmpDir, 'xml');
+    const htmlDir = path.join(tmpDir, 'html');
+    writeFiles(xmlDir, { [CLASS_ID + '.xml']: CLASS_XML, 'index.xml': '<doxygenindex/>' });
+    writeFiles(htmlDir, { [CLASS_ID + '.html']: '', 'search/searchdata.js': '' });
+
+    const result = run('build-search-fulltext.js', [xmlDir, htmlDir]);
+    assert.equal(result.status, 0, result.stderr);
+    const url = (digit) => '../' + CLASS_ID + '.html#a' + digit.repeat(32);
+    assert.deepEqual(readGenerated(path.join(htmlDir, 'search', 'fulltext.js'), 'searchFullText'), [
+      ['ApiOptions', '../' + CLASS_ID + '.html', 'Toolbox', 'classes', 'Options of the Api client.', ''],
+      ['Fast', url('4'), 'Toolbox::ApiOptions::Mode', 'enumvalues', 'Does not wait between retries.', ''],
+      ['MaxRetries', url('1'), 'Toolbox::ApiOptions', 'properties', 'The maximum number of retry attempts.',
+       'For example: Defaults to 3 & can be 0.'],
+      ['Mode', url('3'), 'Toolbox::ApiOptions', 'enums', 'How to retry.', ''],
+    ]);
+  });
+
+  test('skips symbols without an HTML page', () => {
+    const xmlDir = path.join(tmpDir, 'xml-only');
+    const htmlDir = path.join(tmpDir, 'html-empty');
+    writeFiles(xmlDir, { [CLASS_ID + '.xml']: CLASS_XML });
+    writeFiles(htmlDir, { 'search/searchdata.js': '' });
+
+    assert.equal(run('build-search-fulltext.js', [xmlDir, htmlDir]).status, 0);
+    assert.deepEqual(readGenerated(path.join(htmlDir, 'search', 'fulltext.js'), 'searchFullText'), []);
+  });
+
+  test('fails without the XML output', () => {
+    const result = run('build-search-fulltext.js', [path.join(tmpDir, 'missing'), tmpDir]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /GENERATE_XML = YES/);
+  });
+});
+
+describe('build-search-sections', () => {
+  let tmpDir;
+  before(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-sections-')); });
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  // a shard whose first symbol has the given id
+  const shard = (id) => `var searchData=\n[\n  ['${id}',['${id}',['../a.html',1,'']]]\n];\n`;
+
+  test('lists the first characters of the shards of each section', () => {
+    writeFiles(tmpDir, {
+      'search/searchdata.js': 'var indexSectionsWithContent={};\n',
+      'search/all_0.js': shard('_5fdisposed_0'),
+      'search/all_1.js': shard('apioptions_1'),
+      'search/all_2.js': shard('_c3_a9tat_2'),
+      'search/classes_0.js': shard('apioptions_0'),
+      'search/classes_1.js': shard('httpapiservice_0'),
+      // left over from an earlier run with more shards
+      'search/classes_2.js': shard('apioptions_0'),
+      'search/classes_3.js': shard('smtpmailingservice_0'),
+    });
+
+    const result = run('build-search-sections.js', [tmpDir]);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(readGenerated(path.join(tmpDir, 'search', 'sections.js'), 'searchSections'), {
+      all: '_aé',
+      classes: 'ah',
+    });
+  });
+
+  test('fails without a search directory', () => {
+    const result = run('build-search-sections.js', [path.join(tmpDir, 'missing')]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /SEARCHENGINE = YES/);
+  });
+});
@@ -0,0 +1,54 @@
+/*
+ Tests of the list settings of scripts/doxygen-html/cookie.js, which are
+ kept in localStorage and moved there from the cookies of older versions.
+
+ Usage: node --test scripts/test/
+*/
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// runs cookie.js in a page without window.chrome and with the passed cookies
+function loadCookie(cookies) {
+  const storage = new Map();
+  // assigning to it sets the cookie instead of adding one, enough to see what is written
+  const document = { cookie: cookies || '' };
+  const localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, val) => storage.set(key, String(val)),
+    removeItem: (key) => storage.delete(key),
+  };
+  const context = vm.createContext({ window: {}, document: document, localStorage: localStorage });
+  const file = path.join(__dirname, '..', 'doxygen-html', 'cookie.js');
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return { Cookie: vm.runInContext('Cookie', context), storage, document, localStorage };
+}
+
+describe('list settings', () => {
+  test('are written to and read from localStorage', () => {
+    const { Cookie, storage } = loadCookie();
+    assert.equal(Cookie.readListSetting('favourites', '[]'), '[]');
+    Cookie.writeListSetting('favourites', '[["ApiOptions","a.html"]]');
+    assert.equal(storage.get('doxygen_favourites'), '[["ApiOptions","a.html"]]');
+    assert.equal(Cookie.readListSetting('favourites', '[]'), '[["ApiOptions","a.html"]]');
+    Cookie.eraseListSetting('favourites');
+    assert.equal(Cookie.readListSetting('favourites', '[]'), '[]');
+  });
+
+  test('move a value stored in a cookie to localStorage and erase the cookie', () => {
+    const { Cookie, storage, document } = loadCookie('doxygen_width=250; doxygen_search_history=%5B%5D');
+    assert.equal(Cookie.readListSetting('search_history', ''), '%5B%5D');
+    assert.equal(storage.get('doxygen_search_history'), '%5B%5D');
+    assert.match(document.cookie, /^doxygen_search_history=;.*expires=/);
+  });
+
+  test('fall back to the default when localStorage is disabled', () => {
+    const { Cookie, localStorage } = loadCookie();
+    localStorage.getItem = () => { throw new Error('SecurityError'); };
+    assert.equal(Cookie.readListSetting('favourites', 'none'), 'none');
+  });
+});
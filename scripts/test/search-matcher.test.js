@@ -0,0 +1,133 @@
+/*
+ Tests of searchMatcher in scripts/doxygen-html/search/search.js, which
+ parses and ranks the queries of the search box.
+
+ Usage: node --test scripts/test/
+*/
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// runs search.js with the little of the page it needs while loading
+function loadSearchMatcher() {
+  const context = vm.createContext({
+    window: {},
+    document: { documentElement: { classList: { toggle() {} } } },
+    Cookie: { readSetting: (cookie, defVal) => defVal },
+    indexSectionNames: { 0: 'all', 1: 'classes', 2: 'functions', 3: 'properties' },
+    indexSectionLabels: { 0: 'All', 1: 'Classes', 2: 'Functions', 3: 'Properties' },
+    indexSectionsWithContent: { 0: 'abc', 1: 'a', 2: 'b', 3: 'c' },
+  });
+  const file = path.join(__dirname, '..', 'doxygen-html', 'search', 'search.js');
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return vm.runInContext('searchMatcher', context);
+}
+
+const searchMatcher = loadSearchMatcher();
+const parse = (search) => searchMatcher.parseQuery(search);
+// the query objects come from another context, so compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('parseQuery', () => {
+  test('splits the query into terms, phrases, exclusions and filters', () => {
+    assert.deepEqual(plain(parse('Send async -smtp "retry delay" kind:property ns:Toolbox::Core')), {
+      groups: [[
+        { text: 'send', phrase: false, qualified: false },
+        { text: 'async', phrase: false, qualified: false },
+        { text: 'retry delay', phrase: true, qualified: false },
+      ]],
+      excluded: [{ text: 'smtp', phrase: false, qualified: false }],
+      filters: [
+        { key: 'kind', negate: false, value: 'property' },
+        { key: 'ns', negate: false, value: 'toolbox.core' },
+      ],
+    });
+  });
+
+  test('starts a new group of terms at OR', () => {
+    const query = parse('send OR receive OR');
+    const texts = query.groups.map((group) => group.map((term) => term.text));
+    assert.deepEqual(plain(texts), [['send'], ['receive']]);
+  });
+
+  test('marks terms with a scope as qualified', () => {
+    const [[term]] = parse('HttpApiService::SendAsync').groups;
+    assert.equal(term.text, 'httpapiservice.sendasync');
+    assert.equal(term.qualified, true);
+  });
+});
+
+describe('matchQuery', () => {
+  const match = (search, name, scope) => searchMatcher.matchQuery(parse(search), name, scope || '');
+
+  test('ranks prefixes above word boundaries, word prefixes and subsequences', () => {
+    const scores = ['http', 'apiserv', 'hapis', 'htps'].map((search) => match(search, 'HttpApiService').score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.deepEqual(plain(match('hapis', 'HttpApiService').positions), [0, 4, 5, 6, 7]);
+  });
+
+  test('ranks shorter names higher within a category', () => {
+    assert.ok(match('http', 'HttpApiService').score > match('http', 'HttpApiServiceTests').score);
+  });
+
+  test('returns null if a term does not match', () => {
+    assert.equal(match('xyz', 'HttpApiService'), null);
+    assert.equal(match('http xyz', 'HttpApiService'), null);
+  });
+
+  test('matches qualified terms against the scope and highlights the name', () => {
+    const m = match('HttpApiService.SendAsync', 'SendAsync', 'Toolbox::Core::Services::Api::HttpApiService');
+    assert.ok(m);
+    assert.deepEqual(plain(m.positions), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test('drops symbols matching an excluded term', () => {
+    const scope = 'Toolbox::Core::Services::Mailing::SmtpMailingService';
+    assert.ok(match('send', 'SendAsync', scope));
+    assert.equal(match('send -smtp', 'SendAsync', scope), null);
+  });
+
+  test('applies the in:, ns: and tests: filters to the scope', () => {
+    const scope = 'Toolbox::Core::Services::Api::HttpApiService';
+    assert.ok(match('send in:HttpApiService', 'SendAsync', scope));
+    assert.equal(match('send in:Api', 'SendAsync', scope), null);
+    assert.ok(match('send ns:Services', 'SendAsync', scope));
+    assert.equal(match('send ns:Serv', 'SendAsync', scope), null);
+    assert.equal(match('send tests:false', 'SendAsync_ShouldRetry', 'Toolbox::Tests::HttpApiServiceTests'), null);
+  });
+
+  test('matches every symbol passing the filters of a query without terms', () => {
+    const m = match('in:HttpApiService', 'SendAsync', 'HttpApiService');
+    assert.deepEqual(plain(m), { score: 0, positions: [] });
+  });
+});
+
+describe('matchDescription', () => {
+  const match = (search, name, brief, details) =>
+    searchMatcher.matchDescription(parse(search), name, '', [brief, details || '']);
+
+  test('finds terms in the descriptions and highlights them in the snippet', () => {
+    const m = match('retry', 'MaxRetries', 'The maximum number of retry attempts.');
+    assert.equal(m.snippet.text, 'The maximum number of retry attempts.');
+    assert.deepEqual(plain(m.snippet.positions), [22, 23, 24, 25, 26]);
+  });
+
+  test('does not match names by subsequence', () => {
+    assert.equal(match('retry', 'GetDirectoryPath', 'Gets the directory path.'), null);
+  });
+
+  test('ranks hits in the name above hits in the brief above hits in the details', () => {
+    const name = match('retry', 'RetryDelay', 'The delay between attempts.').score;
+    const brief = match('retry', 'MaxRetries', 'The number of retry attempts.').score;
+    const details = match('retry', 'MaxRetries', 'The number of attempts.', 'Each retry waits.').score;
+    assert.ok(name > brief && brief > details);
+  });
+
+  test('drops symbols whose descriptions contain an excluded term', () => {
+    assert.equal(match('retry -delay', 'MaxRetries', 'The number of retry attempts, see the delay.'), null);
+  });
+});